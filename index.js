@@ -15,9 +15,9 @@ const translations = {
     title: "AI Resume Analyzer",
     uploadHeader: "1. Upload Resumes",
     dropzoneText: "Drag & drop files here or click to select",
-    supportedFormats: "(PDF, Word, Excel, ZIP)",
+    supportedFormats: "(PDF, Word, Excel, TXT, RTF, ZIP)",
     analyzingStatus: (processed, total) => `Analyzing ${processed}/${total}...`,
-    analysisComplete: (uniqueCount, duplicateCount) => `Analyzed ${uniqueCount} unique resumes (${duplicateCount} duplicates removed).`,
+    analysisComplete: (uniqueCount, duplicateCount, cachedCount) => `Analyzed ${uniqueCount} new resumes (${duplicateCount} identical files skipped, ${cachedCount} served from cache).`,
     prepareFiles: "Preparing files...",
     matchHeader: "2. Match Job Description",
     jobDescriptionPlaceholder: "Paste the job description here...",
@@ -39,18 +39,278 @@ const translations = {
     unspecified: "Unspecified",
     matchScore: (score) => `Match ${score}%`,
     analysisPrompt: 'Analyze this resume and extract the following information. Respond in English.',
-    analysisError: (fileName) => `An error occurred while analyzing: ${fileName}`,
     viewCV: "View CV",
-    apiKeyError: "AI Service could not be initialized. Please ensure the API key is configured correctly in the environment.",
+    apiKeyError: "AI Service could not be initialized. Please ensure the API key is configured correctly in the environment, or choose another AI provider.",
     footerText: "Made by Fahmy Mohsen",
+    restoredStatus: (count) => `Restored ${count} saved candidates.`,
+    delete: "Delete",
+    clearAll: "Clear all",
+    clearAllConfirm: "Delete all saved candidates and their files? This cannot be undone.",
+    storageError: "Could not access local storage. Results will not be saved between sessions.",
+    nameLabel: "Name",
+    experienceSummaryLabel: "Experience Summary",
+    matchScoreLabel: "Match Score",
+    fileNameLabel: "File Name",
+    exportCsv: "Export CSV",
+    exportXlsx: "Export Excel",
+    exportJson: "Export JSON",
+    importJson: "Import analysis (JSON)",
+    exportSheetName: "Candidates",
+    importComplete: (added, skipped) => `Imported ${added} candidates (${skipped} already in the pool).`,
+    importError: (fileName) => `Could not import ${fileName}: not a valid analysis export.`,
+    matchLanguageInstruction: 'Write the rationale, requirements and red flags in English.',
+    whyThisScore: "Why this score",
+    matchedSkills: "Matched",
+    missingSkills: "Missing must-haves",
+    experienceFit: "Experience fit",
+    experienceFitLevels: { strong: "Strong", partial: "Partial", weak: "Weak" },
+    redFlags: "Red flags",
+    none: "None",
+    parseJobButton: "Parse into profile",
+    parsingJob: "Parsing job description...",
+    parseJobComplete: "Job profile ready. Adjust the criteria and weights before matching.",
+    parseJobError: "Please enter a job description to parse.",
+    parseJobFailed: "Could not parse the job description. Please try again.",
+    parseJobLanguageInstruction: 'Respond in English.',
+    profileTitle: "Job title",
+    profileRequiredSkills: "Required skills (comma separated)",
+    profilePreferredSkills: "Preferred skills (comma separated)",
+    profileMinYears: "Min. years of experience",
+    profileLocation: "Location / governorate",
+    profileAgeRange: "Age range",
+    min: "Min",
+    max: "Max",
+    weight: "Weight",
+    weightHint: "0 = ignore, 5 = critical",
+    saveTemplate: "Save as template",
+    discardProfile: "Discard profile",
+    loadTemplate: "Load saved template...",
+    templateNamePrompt: "Template name:",
+    templateSaved: (name) => `Template "${name}" saved.`,
+    templateDeleteConfirm: (name) => `Delete template "${name}"?`,
+    manageTemplates: (count) => `Saved templates (${count})`,
+    filterMatchesProfile: "Meets profile location/age",
+    newOpeningOption: "New job opening...",
+    newOpening: "New",
+    openingNamePlaceholder: "Opening name (e.g., Senior Accountant - Cairo)",
+    untitledOpening: (n) => `Opening ${n}`,
+    legacyOpeningName: "Previous match",
+    deleteOpeningConfirm: (name) => `Delete the opening "${name}" and its scores?`,
+    rankFor: "Rank for opening...",
+    bestFit: "Best fit",
+    stage: "Stage",
+    allStages: "All stages",
+    stages: { new: "New", shortlisted: "Shortlisted", interview: "Interview", offer: "Offer", rejected: "Rejected" },
+    rating: "Rating",
+    ratingStars: (n) => `${n} of 5 stars`,
+    tagsPlaceholder: "Tags (comma separated)",
+    notesPlaceholder: "Reviewer notes...",
+    listView: "List",
+    boardView: "Board",
+    duplicatesToReview: (count) => `${count} suspected duplicates need review.`,
+    reviewDuplicates: (count) => `Possible duplicates (${count})`,
+    duplicateReasonsLabel: "Matched on",
+    duplicateReasons: { file: "Identical file", phone: "Phone", email: "Email", name: "Similar name" },
+    mergeIntoLeft: "Merge into left",
+    mergeIntoRight: "Merge into right",
+    keepBoth: "Keep both",
+    pauseBatch: "Pause",
+    resumeBatch: "Resume",
+    cancelBatch: "Cancel",
+    cancellingBatch: "Cancelling...",
+    batchCancelled: (processed, total) => `Cancelled after ${processed}/${total}.`,
+    queueStatuses: { pending: "Pending", running: "Running", done: "Done", failed: "Failed", cancelled: "Cancelled" },
+    failedHeader: (count) => `Failed (${count})`,
+    errorCategories: {
+      rateLimit: "Rate limit",
+      unsupportedFormat: "Unsupported format",
+      parseError: "Parse error",
+      safetyBlock: "Safety block",
+      unknown: "Error",
+    },
+    retry: "Retry",
+    retryAll: "Retry all",
+    dismiss: "Dismiss",
+    importSpreadsheet: "Import candidates from spreadsheet",
+    importSpreadsheetHint: "Excel (.xlsx) or CSV files. Save older .xls workbooks as .xlsx first.",
+    mapColumnsHeader: (fileName) => `Map columns: ${fileName}`,
+    sheetLabel: "Sheet",
+    firstRowIsHeader: "First row contains column headers",
+    columnLabel: (letter) => `Column ${letter}`,
+    ignoreColumn: "(not imported)",
+    mapNameRequired: "Choose the column that holds the candidate name.",
+    importRowCount: (count, total) => `${count} of ${total} rows have a name and will be imported.`,
+    importRows: (count) => `Import ${count} candidates`,
+    cancel: "Cancel",
+    spreadsheetEmpty: (fileName) => `${fileName} does not contain any rows.`,
+    spreadsheetImportComplete: (added, skipped) => `Imported ${added} candidates from the spreadsheet (${skipped} identical rows skipped).`,
+    aiSettingsHeader: (provider, model) => `AI provider: ${provider}${model ? ` (${model})` : ''}`,
+    aiProvider: "Provider",
+    aiProviders: { gemini: "Google Gemini", openai: "OpenAI-compatible endpoint", mock: "Offline demo (rule-based)" },
+    aiModel: "Model",
+    aiBaseUrl: "Base URL",
+    aiApiKey: "API key (optional)",
+    aiTextOnlyHint: "Text-only: PDFs cannot be sent to this provider, while Word, Excel, TXT and RTF are extracted locally.",
+    aiMockHint: "Runs locally without an API key or network. Results come from simple keyword rules and are for demos and testing only.",
+    selectForComparison: "Select to compare",
+    compare: (count) => `Compare (${count})`,
+    compareHint: "Select 2 to 4 candidates to compare.",
+    comparisonHeader: (count) => `Comparing ${count} candidates`,
+    closeComparison: "Close",
+    removeFromComparison: "Remove from comparison",
+    aiCompare: "Who fits better and why?",
+    aiCompareNeedsJob: "Enter a job description or choose an opening to get an AI recommendation.",
+    comparingStatus: "Comparing candidates...",
+    compareFailed: "Could not generate the comparison summary. Please try again.",
+    compareLanguageInstruction: 'Write the summary, strengths and concerns in English.',
+    strengths: "Strengths",
+    concerns: "Concerns",
+    searchPlaceholder: "Search names, summaries, notes...",
+    advancedFilters: "More filters",
+    filterSkillsPlaceholder: "Skills (comma separated)",
+    skillMatchMode: "Skill match",
+    skillModeAny: "Any of these skills",
+    skillModeAll: "All of these skills",
+    filterMinScorePlaceholder: "Min. score",
+    filterMissingEmail: "Missing email",
+    filterMissingPhone: "Missing phone",
+    sortBy: "Sort by",
+    sortByColumn: (column) => `Sort: ${column}`,
+    sortDirection: "Sort direction",
+    sortAscending: "↑ Ascending",
+    sortDescending: "↓ Descending",
+    loadFilterPreset: "Saved views...",
+    saveFilterPreset: "Save view",
+    resetFilters: "Reset",
+    filterPresetNamePrompt: "Name for this view:",
+    filterPresetSaved: (name) => `View "${name}" saved.`,
+    filterPresetDeleteConfirm: (name) => `Delete the saved view "${name}"?`,
+    manageFilterPresets: (count) => `Saved views (${count})`,
+    totalYearsExperience: "Years of experience",
+    workHistory: "Work history",
+    education: "Education",
+    languages: "Languages",
+    certifications: "Certifications",
+    militaryStatus: "Military service",
+    militaryStatuses: { completed: "Completed", exempted: "Exempted", postponed: "Postponed", notApplicable: "Not applicable", unknown: "Not mentioned" },
+    anyMilitaryStatus: "Any military status",
+    filterMinYearsPlaceholder: "Min. years",
+    filterEducationPlaceholder: "Degree or field...",
+    filterLanguagePlaceholder: "Language...",
+    analyticsView: "Analytics",
+    topSkills: "Top skills",
+    governorateDistribution: "Governorates",
+    ageDistribution: "Age",
+    scoreDistribution: "Match score (selected opening)",
+    notScored: "Not scored",
+    skillDictionary: (count) => `Skill dictionary (${count})`,
+    skillDictionaryHint: "Each skill on the left replaces the variants on the right everywhere in the app. Matching is case-insensitive and ignores Arabic letter variants.",
+    addSkillEntry: "Add skill",
+    resetSkillDictionary: "Reset to defaults",
+    resetSkillDictionaryConfirm: "Replace your skill dictionary with the built-in defaults?",
+    canonicalSkill: "Skill name",
+    skillVariants: "Synonyms (comma separated)",
+    unmappedSkills: "Frequent skills not in the dictionary",
+    addAsSkillEntry: "Add to dictionary",
+    downloadFile: "Download original",
+    previewUnavailable: "The original file is not available for this candidate.",
+    foundInDocument: "found",
+    notFoundInDocument: "not found in the text",
+    pdfHighlightNote: "PDFs are shown in the browser viewer. Use Ctrl+F to find the highlighted values.",
+    editCandidate: "Edit",
+    saveChanges: "Save changes",
+    verified: "Verified",
+    verifiedHint: "Checked by a reviewer. Re-analysis will not overwrite it.",
+    reanalyze: "Re-analyze",
+    reanalyzeHint: "Extract the fields again from the original file. Verified fields are kept.",
+    reanalyzingStatus: (name) => `Re-analyzing ${name}...`,
+    reanalysisComplete: (changed, kept) => `Re-analysis done: ${changed} field(s) updated, ${kept} verified field(s) kept.`,
+    reanalysisFailed: (category) => `Re-analysis failed (${category}). The current values were kept.`,
+    changeHistory: (count) => `Change history (${count})`,
+    historySources: { manual: "edited", reanalysis: "re-analysis" },
+    contactCandidates: "Contact",
+    outreachHint: "Message the filtered candidates by WhatsApp or email",
+    outreachHeader: (count) => `Contact ${count} candidate(s)`,
+    messageTemplate: "Message template",
+    customMessage: "Custom message",
+    saveMessageTemplate: "Save as template",
+    messageTemplateNamePrompt: "Name for this message template:",
+    messageSubject: "Subject",
+    messageBody: "Message",
+    placeholderHint: "Placeholders:",
+    messagePreview: (name) => `Preview for ${name}`,
+    genericCandidateName: "Candidate",
+    emailBatch: (index, count) => `Email batch ${index} (${count}, BCC)`,
+    bccHint: "BCC batches send one shared message, so {name} becomes a generic greeting. Use the .eml or mail-merge export for personalized emails.",
+    exportEml: "Export .eml drafts",
+    exportMailMerge: "Export mail-merge CSV",
+    whatsappLink: "WhatsApp link",
+    sendWhatsApp: "Send on WhatsApp",
+    markContacted: "Mark selected as contacted",
+    selectAll: "Select all",
+    lastContacted: "Last contacted",
+    notContacted: "Not contacted",
+    contactedFilter: "Contacted",
+    contactStatus: "Contact status",
+    anyContactStatus: "Any contact status",
+    contactChannels: { whatsapp: "WhatsApp", email: "Email", manual: "Marked manually" },
+    contactedOn: (channel, date) => `Contacted (${channel}) on ${date}`,
+    matchModeLabel: "Matching mode",
+    matchModes: { batched: "Batched (several candidates per request)", single: "One request per candidate" },
+    prefilterTopN: "Send top N only",
+    prefilterHint: "Rank candidates locally by keyword and skill overlap with the job, and send only the top N to the model. Leave empty to score everyone.",
+    matchEstimate: ({ toSend, skipped, batches, inputTokens, outputTokens, cost, seconds }) =>
+        `Estimate: ${batches.length} request(s) for ${toSend.length} candidate(s)${skipped ? ` (${skipped} skipped by the pre-filter)` : ''}`
+        + ` · ~${(inputTokens + outputTokens).toLocaleString('en')} tokens`
+        + ` · ${cost == null ? 'cost unknown for this model' : `~$${cost.toFixed(cost < 1 ? 3 : 2)}`}`
+        + ` · ~${seconds < 60 ? `${seconds} s` : `${Math.ceil(seconds / 60)} min`}`,
+    matchConfirm: (estimate) => `${estimate}\n\nStart matching?`,
+    prefilterSkipped: (count) => `${count} candidate(s) were not sent (pre-filter) and kept their previous scores.`,
+    missingBatchResult: "The model response did not include this candidate.",
+    blindMode: "Blind screening",
+    blindModeHint: "Hide names, age, governorate and contact details, and leave age and location out of AI scoring.",
+    candidateNumber: (number) => `Candidate #${number}`,
+    fileNumber: (number) => `File #${number}`,
+    blindFieldsHidden: "Age, governorate and contact details are hidden in blind mode.",
+    revealCandidate: "Reveal",
+    hideCandidate: "Hide",
+    revealHint: "Show this candidate's identity and contact details",
+    outreachBlindHint: "Turn off blind screening to contact candidates",
+    duplicatesBlindHint: "Turn off blind screening to review duplicates",
+    redactExports: "Redact personal data",
+    redactExportsHint: "Replace names with candidate numbers, mask them in summaries, and leave out age, governorate, contact details, file names, notes, tags and work history in CSV, Excel, JSON and report exports. Job openings are still included in JSON exports.",
+    generateReport: "Generate report",
+    generateReportHint: "Build a printable shortlist report for the hiring manager",
+    reportHeader: "Shortlist report",
+    reportSource: "Candidates to include",
+    reportSources: {
+        top: (count) => `Top ${count} by match score`,
+        selected: (count) => `Selected for comparison (${count})`,
+        shortlisted: (count) => `Shortlisted stage (${count})`,
+    },
+    reportTopN: "Number of candidates",
+    reportLanguage: "Report language",
+    downloadReport: "Download HTML",
+    printReport: "Print / Save as PDF",
+    reportHint: "The HTML file opens in any browser with no internet connection. To get a PDF, choose \"Save as PDF\" in the print dialog.",
+    reportTitle: "Candidate shortlist",
+    reportTitleFor: (name) => `Candidate shortlist: ${name}`,
+    reportGenerated: (date, count) => `Generated ${date} · ${count} candidate(s)`,
+    reportJob: "Job description",
+    reportRanking: "Ranking",
+    reportCandidates: "Candidate details",
+    reportRationale: "Assessment",
+    requiredSkillsLabel: "Required skills",
+    preferredSkillsLabel: "Preferred skills",
+    notesLabel: "Reviewer notes",
   },
   ar: {
     title: "محلل السير الذاتية",
     uploadHeader: "١. رفع السير الذاتية",
     dropzoneText: "اسحب وأفلت الملفات هنا أو انقر للاختيار",
-    supportedFormats: "(PDF, Word, Excel, ZIP)",
+    supportedFormats: "(PDF, Word, Excel, TXT, RTF, ZIP)",
     analyzingStatus: (processed, total) => `جاري تحليل ${processed}/${total} سيرة ذاتية...`,
-    analysisComplete: (uniqueCount, duplicateCount) => `تم تحليل ${uniqueCount} سيرة ذاتية فريدة (تمت إزالة ${duplicateCount} نسخة مكررة).`,
+    analysisComplete: (uniqueCount, duplicateCount, cachedCount) => `تم تحليل ${uniqueCount} سيرة ذاتية جديدة (تم تخطي ${duplicateCount} ملف مطابق، ${cachedCount} من الذاكرة المؤقتة).`,
     prepareFiles: "جاري تحضير الملفات...",
     matchHeader: "٢. مطابقة الوظائف",
     jobDescriptionPlaceholder: "الصق الوصف الوظيفي هنا...",
@@ -72,34 +332,308 @@ const translations = {
     unspecified: "غير محدد",
     matchScore: (score) => `مطابقة ${score}%`,
     analysisPrompt: 'حلل هذه السيرة الذاتية واستخرج المعلومات التالية. أجب باللغة العربية.',
-    analysisError: (fileName) => `حدث خطأ أثناء تحليل الملف: ${fileName}`,
     viewCV: "عرض السيرة الذاتية",
-    apiKeyError: "تعذر تهيئة خدمة الذكاء الاصطناعي. يرجى التأكد من تكوين مفتاح الواجهة البرمجية بشكل صحيح في البيئة.",
+    apiKeyError: "تعذر تهيئة خدمة الذكاء الاصطناعي. يرجى التأكد من تكوين مفتاح الواجهة البرمجية بشكل صحيح في البيئة، أو اختيار مزود ذكاء اصطناعي آخر.",
     footerText: "صنع بواسطة Fahmy Mohsen",
+    restoredStatus: (count) => `تمت استعادة ${count} مرشح محفوظ.`,
+    delete: "حذف",
+    clearAll: "حذف الكل",
+    clearAllConfirm: "هل تريد حذف جميع المرشحين المحفوظين وملفاتهم؟ لا يمكن التراجع عن ذلك.",
+    storageError: "تعذر الوصول إلى التخزين المحلي. لن يتم حفظ النتائج بين الجلسات.",
+    nameLabel: "الاسم",
+    experienceSummaryLabel: "ملخص الخبرة",
+    matchScoreLabel: "نسبة المطابقة",
+    fileNameLabel: "اسم الملف",
+    exportCsv: "تصدير CSV",
+    exportXlsx: "تصدير Excel",
+    exportJson: "تصدير JSON",
+    importJson: "استيراد تحليل (JSON)",
+    exportSheetName: "المرشحون",
+    importComplete: (added, skipped) => `تم استيراد ${added} مرشح (${skipped} موجود مسبقاً).`,
+    importError: (fileName) => `تعذر استيراد ${fileName}: الملف ليس تصديراً صالحاً للتحليل.`,
+    matchLanguageInstruction: 'اكتب المبررات والمتطلبات والملاحظات التحذيرية باللغة العربية.',
+    whyThisScore: "لماذا هذه النتيجة",
+    matchedSkills: "متطابقة",
+    missingSkills: "متطلبات أساسية ناقصة",
+    experienceFit: "ملاءمة الخبرة",
+    experienceFitLevels: { strong: "قوية", partial: "جزئية", weak: "ضعيفة" },
+    redFlags: "ملاحظات تحذيرية",
+    none: "لا يوجد",
+    parseJobButton: "تحويل إلى ملف وظيفي",
+    parsingJob: "جاري تحليل الوصف الوظيفي...",
+    parseJobComplete: "الملف الوظيفي جاهز. عدّل المعايير والأوزان قبل المطابقة.",
+    parseJobError: "يرجى كتابة وصف وظيفي لتحليله.",
+    parseJobFailed: "تعذر تحليل الوصف الوظيفي. يرجى المحاولة مرة أخرى.",
+    parseJobLanguageInstruction: 'أجب باللغة العربية.',
+    profileTitle: "المسمى الوظيفي",
+    profileRequiredSkills: "المهارات المطلوبة (مفصولة بفواصل)",
+    profilePreferredSkills: "المهارات المفضلة (مفصولة بفواصل)",
+    profileMinYears: "أقل عدد سنوات خبرة",
+    profileLocation: "الموقع / المحافظة",
+    profileAgeRange: "الفئة العمرية",
+    min: "من",
+    max: "إلى",
+    weight: "الوزن",
+    weightHint: "0 = تجاهل، 5 = أساسي",
+    saveTemplate: "حفظ كقالب",
+    discardProfile: "تجاهل الملف الوظيفي",
+    loadTemplate: "تحميل قالب محفوظ...",
+    templateNamePrompt: "اسم القالب:",
+    templateSaved: (name) => `تم حفظ القالب "${name}".`,
+    templateDeleteConfirm: (name) => `حذف القالب "${name}"؟`,
+    manageTemplates: (count) => `القوالب المحفوظة (${count})`,
+    filterMatchesProfile: "مطابق لموقع/عمر الملف الوظيفي",
+    newOpeningOption: "وظيفة شاغرة جديدة...",
+    newOpening: "جديدة",
+    openingNamePlaceholder: "اسم الوظيفة (مثال: محاسب أول - القاهرة)",
+    untitledOpening: (n) => `وظيفة ${n}`,
+    legacyOpeningName: "مطابقة سابقة",
+    deleteOpeningConfirm: (name) => `حذف الوظيفة "${name}" ونتائج مطابقتها؟`,
+    rankFor: "الترتيب حسب الوظيفة...",
+    bestFit: "الأنسب لوظيفة",
+    stage: "المرحلة",
+    allStages: "جميع المراحل",
+    stages: { new: "جديد", shortlisted: "القائمة المختصرة", interview: "مقابلة", offer: "عرض وظيفي", rejected: "مرفوض" },
+    rating: "التقييم",
+    ratingStars: (n) => `${n} من 5 نجوم`,
+    tagsPlaceholder: "الوسوم (مفصولة بفواصل)",
+    notesPlaceholder: "ملاحظات المراجع...",
+    listView: "قائمة",
+    boardView: "لوحة",
+    duplicatesToReview: (count) => `${count} حالة تكرار محتملة تحتاج إلى مراجعة.`,
+    reviewDuplicates: (count) => `تكرارات محتملة (${count})`,
+    duplicateReasonsLabel: "التطابق في",
+    duplicateReasons: { file: "ملف مطابق", phone: "الهاتف", email: "البريد الإلكتروني", name: "اسم مشابه" },
+    mergeIntoLeft: "دمج في الأول",
+    mergeIntoRight: "دمج في الثاني",
+    keepBoth: "الاحتفاظ بالاثنين",
+    pauseBatch: "إيقاف مؤقت",
+    resumeBatch: "استئناف",
+    cancelBatch: "إلغاء",
+    cancellingBatch: "جاري الإلغاء...",
+    batchCancelled: (processed, total) => `تم الإلغاء بعد ${processed}/${total}.`,
+    queueStatuses: { pending: "في الانتظار", running: "قيد التنفيذ", done: "تم", failed: "فشل", cancelled: "ملغى" },
+    failedHeader: (count) => `فشل (${count})`,
+    errorCategories: {
+      rateLimit: "تجاوز حد الطلبات",
+      unsupportedFormat: "صيغة غير مدعومة",
+      parseError: "خطأ في قراءة الاستجابة",
+      safetyBlock: "حظر أمان",
+      unknown: "خطأ",
+    },
+    retry: "إعادة المحاولة",
+    retryAll: "إعادة محاولة الكل",
+    dismiss: "تجاهل",
+    importSpreadsheet: "استيراد مرشحين من جدول بيانات",
+    importSpreadsheetHint: "ملفات Excel (.xlsx) أو CSV. احفظ ملفات .xls القديمة بصيغة .xlsx أولاً.",
+    mapColumnsHeader: (fileName) => `ربط الأعمدة: ${fileName}`,
+    sheetLabel: "الورقة",
+    firstRowIsHeader: "الصف الأول يحتوي على عناوين الأعمدة",
+    columnLabel: (letter) => `العمود ${letter}`,
+    ignoreColumn: "(لا يتم استيراده)",
+    mapNameRequired: "اختر العمود الذي يحتوي على اسم المرشح.",
+    importRowCount: (count, total) => `سيتم استيراد ${count} من ${total} صف تحتوي على اسم.`,
+    importRows: (count) => `استيراد ${count} مرشح`,
+    cancel: "إلغاء",
+    spreadsheetEmpty: (fileName) => `الملف ${fileName} لا يحتوي على أي صفوف.`,
+    spreadsheetImportComplete: (added, skipped) => `تم استيراد ${added} مرشح من جدول البيانات (تم تخطي ${skipped} صف مطابق).`,
+    aiSettingsHeader: (provider, model) => `مزود الذكاء الاصطناعي: ${provider}${model ? ` (${model})` : ''}`,
+    aiProvider: "المزود",
+    aiProviders: { gemini: "Google Gemini", openai: "واجهة متوافقة مع OpenAI", mock: "عرض تجريبي دون اتصال (قائم على القواعد)" },
+    aiModel: "النموذج",
+    aiBaseUrl: "عنوان الخادم",
+    aiApiKey: "مفتاح الواجهة البرمجية (اختياري)",
+    aiTextOnlyHint: "نصي فقط: لا يمكن إرسال ملفات PDF إلى هذا المزود، بينما يتم استخراج نصوص Word وExcel وTXT وRTF محلياً.",
+    aiMockHint: "يعمل محلياً دون مفتاح أو اتصال بالإنترنت. النتائج مبنية على قواعد كلمات مفتاحية بسيطة وهي للعرض والاختبار فقط.",
+    selectForComparison: "تحديد للمقارنة",
+    compare: (count) => `مقارنة (${count})`,
+    compareHint: "حدد من ٢ إلى ٤ مرشحين للمقارنة.",
+    comparisonHeader: (count) => `مقارنة ${count} مرشحين`,
+    closeComparison: "إغلاق",
+    removeFromComparison: "إزالة من المقارنة",
+    aiCompare: "من الأنسب ولماذا؟",
+    aiCompareNeedsJob: "أدخل وصفاً وظيفياً أو اختر وظيفة للحصول على توصية الذكاء الاصطناعي.",
+    comparingStatus: "جاري مقارنة المرشحين...",
+    compareFailed: "تعذر إنشاء ملخص المقارنة. يرجى المحاولة مرة أخرى.",
+    compareLanguageInstruction: 'اكتب الملخص ونقاط القوة والملاحظات باللغة العربية.',
+    strengths: "نقاط القوة",
+    concerns: "ملاحظات",
+    searchPlaceholder: "ابحث في الأسماء والملخصات والملاحظات...",
+    advancedFilters: "المزيد من عوامل التصفية",
+    filterSkillsPlaceholder: "المهارات (مفصولة بفواصل)",
+    skillMatchMode: "مطابقة المهارات",
+    skillModeAny: "أي من هذه المهارات",
+    skillModeAll: "كل هذه المهارات",
+    filterMinScorePlaceholder: "أقل نسبة",
+    filterMissingEmail: "بدون بريد إلكتروني",
+    filterMissingPhone: "بدون رقم هاتف",
+    sortBy: "ترتيب حسب",
+    sortByColumn: (column) => `ترتيب: ${column}`,
+    sortDirection: "اتجاه الترتيب",
+    sortAscending: "↑ تصاعدي",
+    sortDescending: "↓ تنازلي",
+    loadFilterPreset: "طرق العرض المحفوظة...",
+    saveFilterPreset: "حفظ طريقة العرض",
+    resetFilters: "إعادة تعيين",
+    filterPresetNamePrompt: "اسم طريقة العرض:",
+    filterPresetSaved: (name) => `تم حفظ طريقة العرض "${name}".`,
+    filterPresetDeleteConfirm: (name) => `حذف طريقة العرض المحفوظة "${name}"؟`,
+    manageFilterPresets: (count) => `طرق العرض المحفوظة (${count})`,
+    totalYearsExperience: "سنوات الخبرة",
+    workHistory: "الخبرات العملية",
+    education: "المؤهل الدراسي",
+    languages: "اللغات",
+    certifications: "الشهادات",
+    militaryStatus: "الموقف من التجنيد",
+    militaryStatuses: { completed: "أدى الخدمة", exempted: "معفى", postponed: "مؤجل", notApplicable: "لا ينطبق", unknown: "غير مذكور" },
+    anyMilitaryStatus: "أي موقف من التجنيد",
+    filterMinYearsPlaceholder: "أقل عدد سنوات",
+    filterEducationPlaceholder: "المؤهل أو التخصص...",
+    filterLanguagePlaceholder: "اللغة...",
+    analyticsView: "الإحصائيات",
+    topSkills: "أكثر المهارات",
+    governorateDistribution: "المحافظات",
+    ageDistribution: "العمر",
+    scoreDistribution: "نسبة المطابقة (الوظيفة المحددة)",
+    notScored: "غير مقيّم",
+    skillDictionary: (count) => `قاموس المهارات (${count})`,
+    skillDictionaryHint: "كل مهارة على اليمين تحل محل مرادفاتها على اليسار في كل أجزاء التطبيق. المطابقة لا تتأثر بحالة الأحرف أو اختلاف كتابة الحروف العربية.",
+    addSkillEntry: "إضافة مهارة",
+    resetSkillDictionary: "استعادة الافتراضي",
+    resetSkillDictionaryConfirm: "استبدال قاموس المهارات بالقاموس الافتراضي؟",
+    canonicalSkill: "اسم المهارة",
+    skillVariants: "المرادفات (مفصولة بفواصل)",
+    unmappedSkills: "مهارات متكررة غير موجودة في القاموس",
+    addAsSkillEntry: "إضافة إلى القاموس",
+    downloadFile: "تنزيل الملف الأصلي",
+    previewUnavailable: "الملف الأصلي غير متاح لهذا المرشح.",
+    foundInDocument: "موجود",
+    notFoundInDocument: "غير موجود في النص",
+    pdfHighlightNote: "تُعرض ملفات PDF في عارض المتصفح. استخدم Ctrl+F للبحث عن القيم المميزة.",
+    editCandidate: "تعديل",
+    saveChanges: "حفظ التعديلات",
+    verified: "تم التحقق",
+    verifiedHint: "راجعه أحد المقيّمين. لن تستبدله إعادة التحليل.",
+    reanalyze: "إعادة التحليل",
+    reanalyzeHint: "استخراج الحقول مرة أخرى من الملف الأصلي مع الإبقاء على الحقول التي تم التحقق منها.",
+    reanalyzingStatus: (name) => `جاري إعادة تحليل ${name}...`,
+    reanalysisComplete: (changed, kept) => `اكتملت إعادة التحليل: تم تحديث ${changed} حقل، والإبقاء على ${kept} حقل تم التحقق منه.`,
+    reanalysisFailed: (category) => `فشلت إعادة التحليل (${category}). تم الإبقاء على القيم الحالية.`,
+    changeHistory: (count) => `سجل التعديلات (${count})`,
+    historySources: { manual: "تعديل يدوي", reanalysis: "إعادة تحليل" },
+    contactCandidates: "تواصل",
+    outreachHint: "مراسلة المرشحين الظاهرين عبر واتساب أو البريد الإلكتروني",
+    outreachHeader: (count) => `التواصل مع ${count} مرشح`,
+    messageTemplate: "قالب الرسالة",
+    customMessage: "رسالة مخصصة",
+    saveMessageTemplate: "حفظ كقالب",
+    messageTemplateNamePrompt: "اسم قالب الرسالة:",
+    messageSubject: "الموضوع",
+    messageBody: "الرسالة",
+    placeholderHint: "المتغيرات:",
+    messagePreview: (name) => `معاينة لـ ${name}`,
+    genericCandidateName: "المرشح/ة",
+    emailBatch: (index, count) => `دفعة بريد ${index} (${count}، نسخة مخفية)`,
+    bccHint: "ترسل دفعات النسخة المخفية رسالة واحدة مشتركة، لذلك يُستبدل {name} بتحية عامة. استخدم تصدير ‎.eml أو ملف الدمج البريدي للرسائل المخصصة.",
+    exportEml: "تصدير مسودات ‎.eml",
+    exportMailMerge: "تصدير ملف دمج بريدي CSV",
+    whatsappLink: "رابط واتساب",
+    sendWhatsApp: "إرسال عبر واتساب",
+    markContacted: "تحديد المختارين كتم التواصل معهم",
+    selectAll: "تحديد الكل",
+    lastContacted: "آخر تواصل",
+    notContacted: "لم يتم التواصل",
+    contactedFilter: "تم التواصل",
+    contactStatus: "حالة التواصل",
+    anyContactStatus: "أي حالة تواصل",
+    contactChannels: { whatsapp: "واتساب", email: "البريد الإلكتروني", manual: "تحديد يدوي" },
+    contactedOn: (channel, date) => `تم التواصل (${channel}) بتاريخ ${date}`,
+    matchModeLabel: "طريقة المطابقة",
+    matchModes: { batched: "على دفعات (عدة مرشحين في كل طلب)", single: "طلب لكل مرشح" },
+    prefilterTopN: "إرسال أفضل N فقط",
+    prefilterHint: "ترتيب المرشحين محلياً حسب تطابق الكلمات المفتاحية والمهارات مع الوظيفة، وإرسال أفضل N فقط إلى النموذج. اتركه فارغاً لتقييم الجميع.",
+    matchEstimate: ({ toSend, skipped, batches, inputTokens, outputTokens, cost, seconds }) =>
+        `التقدير: ${batches.length} طلب لعدد ${toSend.length} مرشح${skipped ? ` (تم استبعاد ${skipped} بالتصفية المبدئية)` : ''}`
+        + ` · ~${(inputTokens + outputTokens).toLocaleString('en')} رمز`
+        + ` · ${cost == null ? 'التكلفة غير معروفة لهذا النموذج' : `~$${cost.toFixed(cost < 1 ? 3 : 2)}`}`
+        + ` · ~${seconds < 60 ? `${seconds} ث` : `${Math.ceil(seconds / 60)} د`}`,
+    matchConfirm: (estimate) => `${estimate}\n\nبدء المطابقة؟`,
+    prefilterSkipped: (count) => `لم يتم إرسال ${count} مرشح (التصفية المبدئية) واحتفظوا بتقييماتهم السابقة.`,
+    missingBatchResult: "لم تتضمن استجابة النموذج هذا المرشح.",
+    blindMode: "فرز مجهول الهوية",
+    blindModeHint: "إخفاء الأسماء والعمر والمحافظة وبيانات التواصل، واستبعاد العمر والموقع من تقييم الذكاء الاصطناعي.",
+    candidateNumber: (number) => `المرشح رقم ${number}`,
+    fileNumber: (number) => `الملف رقم ${number}`,
+    blindFieldsHidden: "العمر والمحافظة وبيانات التواصل مخفية في وضع الفرز مجهول الهوية.",
+    revealCandidate: "إظهار",
+    hideCandidate: "إخفاء",
+    revealHint: "إظهار هوية المرشح وبيانات التواصل",
+    outreachBlindHint: "أوقف الفرز مجهول الهوية للتواصل مع المرشحين",
+    duplicatesBlindHint: "أوقف الفرز مجهول الهوية لمراجعة المكررات",
+    redactExports: "إخفاء البيانات الشخصية",
+    redactExportsHint: "استبدال الأسماء بأرقام المرشحين وإخفاؤها من الملخصات، وحذف العمر والمحافظة وبيانات التواصل وأسماء الملفات والملاحظات والوسوم والخبرات العملية من ملفات CSV وExcel وJSON والتقارير المصدرة. تظل الوظائف المفتوحة مضمّنة في ملفات JSON.",
+    generateReport: "إنشاء تقرير",
+    generateReportHint: "إنشاء تقرير قائمة مختصرة قابل للطباعة لمدير التوظيف",
+    reportHeader: "تقرير القائمة المختصرة",
+    reportSource: "المرشحون المضمنون",
+    reportSources: {
+        top: (count) => `أفضل ${count} حسب نسبة التطابق`,
+        selected: (count) => `المحددون للمقارنة (${count})`,
+        shortlisted: (count) => `مرحلة القائمة المختصرة (${count})`,
+    },
+    reportTopN: "عدد المرشحين",
+    reportLanguage: "لغة التقرير",
+    downloadReport: "تنزيل HTML",
+    printReport: "طباعة / حفظ كـ PDF",
+    reportHint: "يفتح ملف HTML في أي متصفح دون اتصال بالإنترنت. للحصول على ملف PDF اختر \"حفظ كـ PDF\" من نافذة الطباعة.",
+    reportTitle: "القائمة المختصرة للمرشحين",
+    reportTitleFor: (name) => `القائمة المختصرة للمرشحين: ${name}`,
+    reportGenerated: (date, count) => `تاريخ الإنشاء ${date} · ${count} مرشح`,
+    reportJob: "الوصف الوظيفي",
+    reportRanking: "الترتيب",
+    reportCandidates: "تفاصيل المرشحين",
+    reportRationale: "التقييم",
+    requiredSkillsLabel: "المهارات المطلوبة",
+    preferredSkillsLabel: "المهارات المفضلة",
+    notesLabel: "ملاحظات المقيّم",
   }
 };
 
-let ai = null;
-try {
-  // The API key is expected to be in process.env.API_KEY
-  ai = new GoogleGenAI({ apiKey: process.env.API_KEY });
-} catch (e) {
-  console.error("Failed to initialize GoogleGenAI. API key might be missing.", e);
-}
-
+// A setTimeout-based delay that rejects as soon as the given signal is aborted.
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
 
 /**
- * A wrapper for the Gemini API call that includes retry logic with exponential backoff.
+ * A wrapper for the AI provider call that includes retry logic with exponential backoff.
  * This makes the application more resilient to 429 (rate limit) and 503 (overloaded) errors.
+ * An AbortSignal passed as `params.config.abortSignal` cancels both the request and any pending retry.
  */
-const generateContentWithRetry = async (ai, params, retries = 4, initialDelay = 2000) => {
+const generateContentWithRetry = async (provider, params, retries = 4, initialDelay = 2000) => {
+    const signal = params.config?.abortSignal;
     let attempt = 0;
     let delay = initialDelay;
     while (attempt < retries) {
+        signal?.throwIfAborted();
         try {
-            return await ai.models.generateContent(params);
+            return await provider.generateContent(params);
         } catch (e) {
             attempt++;
+
+            // A cancelled request must not be retried.
+            if (signal?.aborted) throw e;
             
             // Convert error to a string for robust checking, as the error type can vary.
             const errorMessage = (e instanceof Error) ? e.message : JSON.stringify(e);
@@ -113,15 +647,2829 @@ const generateContentWithRetry = async (ai, params, retries = 4, initialDelay =
             if (isRetriable && attempt < retries) {
                 const jitter = Math.random() * 1000;
                 console.warn(`Retriable error detected. Retrying in ${(delay + jitter) / 1000}s... (Attempt ${attempt})`, e);
-                await new Promise(resolve => setTimeout(resolve, delay + jitter));
+                await sleep(delay + jitter, signal);
                 delay *= 2; // Exponential backoff
             } else {
-                console.error("Final attempt failed or non-retriable error:", e);
-                throw e;
+                console.error("Final attempt failed or non-retriable error:", e);
+                throw e;
+            }
+        }
+    }
+    throw new Error("API call failed after multiple retries.");
+};
+
+/**
+ * Failures are grouped into a few categories so reviewers can tell a temporary rate limit
+ * (worth retrying) from a file the model will never accept.
+ */
+const ERROR_CATEGORIES = ['rateLimit', 'unsupportedFormat', 'parseError', 'safetyBlock', 'unknown'];
+
+const categorizedError = (message, category) => Object.assign(new Error(message), { category });
+
+const classifyError = (e) => {
+    if (ERROR_CATEGORIES.includes(e?.category)) return e.category;
+    const message = ((e instanceof Error) ? e.message : JSON.stringify(e)).toLowerCase();
+    if (message.includes('429') || message.includes('503') || message.includes('resource_exhausted') || message.includes('overloaded')) {
+        return 'rateLimit';
+    }
+    if (message.includes('safety') || message.includes('prohibited_content') || message.includes('blocked')) return 'safetyBlock';
+    if (message.includes('mime') || message.includes('unsupported') || message.includes('invalid_argument')) return 'unsupportedFormat';
+    if (e instanceof SyntaxError) return 'parseError';
+    return 'unknown';
+};
+
+// Parses a JSON-mode response, turning safety blocks and malformed output into categorized errors.
+const parseModelJson = (result) => {
+    const blockReason = result.promptFeedback?.blockReason;
+    const finishReason = result.candidates?.[0]?.finishReason;
+    if (blockReason || ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'].includes(finishReason)) {
+        throw categorizedError(`Response blocked (${blockReason || finishReason})`, 'safetyBlock');
+    }
+    try {
+        return JSON.parse(result.text);
+    } catch (e) {
+        throw categorizedError(`Could not parse the model response: ${e.message}`, 'parseError');
+    }
+};
+
+/**
+ * AI providers. Every provider exposes `generateContent(params)` taking the Gemini request
+ * shape ({ model, contents, config: { responseSchema, abortSignal } }) and resolving to
+ * `{ text, candidates, promptFeedback }`, so prompts and `parseModelJson` work unchanged
+ * whichever backend is selected. `readsFiles` says whether inline file parts (PDFs the app
+ * could not extract locally) may be sent; otherwise such files fail before any request.
+ * Requests also carry `input`, the structured data the prompt was built from: the mock
+ * works from it instead of parsing prompt wording, and real backends drop it.
+ */
+const AI_PROVIDER_IDS = ['gemini', 'openai', 'mock'];
+
+const GEMINI_MODELS = ['gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro'];
+
+// Vite substitutes process.env.API_KEY at build time; served as a plain module there is no `process`.
+const GEMINI_API_KEY = (() => {
+    try {
+        return process.env.API_KEY || '';
+    } catch {
+        return '';
+    }
+})();
+
+const DEFAULT_AI_SETTINGS = {
+    providerId: GEMINI_API_KEY ? 'gemini' : 'mock',
+    models: { gemini: GEMINI_MODELS[0], openai: '', mock: 'mock-rules' },
+    baseUrl: 'http://localhost:11434/v1',
+    apiKey: '',
+};
+
+const AI_SETTINGS_KEY = 'cv-analyzer-ai-settings';
+
+const loadAiSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(AI_SETTINGS_KEY) || 'null');
+        if (!saved || !AI_PROVIDER_IDS.includes(saved.providerId)) return DEFAULT_AI_SETTINGS;
+        return { ...DEFAULT_AI_SETTINGS, ...saved, models: { ...DEFAULT_AI_SETTINGS.models, ...saved.models } };
+    } catch {
+        return DEFAULT_AI_SETTINGS;
+    }
+};
+
+const saveAiSettings = (settings) => {
+    try {
+        localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.warn('Could not save AI settings:', e);
+    }
+};
+
+const getContentParts = (contents) => typeof contents === 'string' ? [{ text: contents }] : contents?.parts || [];
+
+const createGeminiProvider = () => {
+    if (!GEMINI_API_KEY) return null;
+    try {
+        const client = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
+        return { id: 'gemini', readsFiles: true, generateContent: ({ input, ...params }) => client.models.generateContent(params) };
+    } catch (e) {
+        console.error("Failed to initialize GoogleGenAI. API key might be missing.", e);
+        return null;
+    }
+};
+
+// Gemini schemas use upper-case type names; JSON Schema wants them lower-case.
+const toJsonSchema = (schema) => {
+    const converted = { type: String(schema.type).toLowerCase() };
+    if (schema.description) converted.description = schema.description;
+    if (schema.enum) converted.enum = schema.enum;
+    if (schema.items) converted.items = toJsonSchema(schema.items);
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toJsonSchema(value)]));
+    }
+    if (schema.required) converted.required = schema.required;
+    return converted;
+};
+
+// Any server speaking the OpenAI chat completions API, e.g. Ollama, LM Studio, vLLM or llama.cpp.
+const createOpenAiCompatibleProvider = ({ baseUrl, apiKey }) => {
+    if (!baseUrl) return null;
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    return {
+        id: 'openai',
+        readsFiles: false,
+        generateContent: async ({ model, contents, config = {} }) => {
+            const parts = getContentParts(contents);
+            const body = {
+                model,
+                messages: [{ role: 'user', content: parts.map(part => part.text).join('\n\n') }],
+            };
+            if (config.responseSchema) {
+                body.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: toJsonSchema(config.responseSchema) } };
+            }
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+                body: JSON.stringify(body),
+                signal: config.abortSignal,
+            });
+            if (!response.ok) {
+                // The status code stays in the message so retries and error categories still apply.
+                throw new Error(`${response.status} ${response.statusText}: ${(await response.text()).slice(0, 300)}`);
+            }
+            const data = await response.json();
+            const choice = data.choices?.[0];
+            return {
+                text: choice?.message?.content ?? '',
+                candidates: [{ finishReason: choice?.finish_reason === 'content_filter' ? 'SAFETY' : 'STOP' }],
+            };
+        },
+    };
+};
+
+const EGYPT_GOVERNORATES = [
+    ['Cairo', 'القاهرة'], ['Giza', 'الجيزة'], ['Alexandria', 'الإسكندرية'], ['Qalyubia', 'القليوبية'],
+    ['Sharqia', 'الشرقية'], ['Dakahlia', 'الدقهلية'], ['Gharbia', 'الغربية'], ['Monufia', 'المنوفية'],
+    ['Beheira', 'البحيرة'], ['Kafr El Sheikh', 'كفر الشيخ'], ['Damietta', 'دمياط'], ['Port Said', 'بورسعيد'],
+    ['Ismailia', 'الإسماعيلية'], ['Suez', 'السويس'], ['Faiyum', 'الفيوم'], ['Beni Suef', 'بني سويف'],
+    ['Minya', 'المنيا'], ['Asyut', 'أسيوط'], ['Sohag', 'سوهاج'], ['Qena', 'قنا'], ['Luxor', 'الأقصر'],
+    ['Aswan', 'أسوان'], ['Red Sea', 'البحر الأحمر'], ['Matrouh', 'مطروح'], ['New Valley', 'الوادي الجديد'],
+    ['North Sinai', 'شمال سيناء'], ['South Sinai', 'جنوب سيناء'],
+];
+
+// Keyword -> skill name the mock provider recognizes in resumes and job descriptions.
+const MOCK_SKILL_KEYWORDS = {
+    'excel': 'Excel', 'اكسل': 'Excel', 'إكسل': 'Excel', 'word': 'Word', 'powerpoint': 'PowerPoint',
+    'accounting': 'Accounting', 'محاسبة': 'Accounting', 'sap': 'SAP', 'oracle': 'Oracle', 'sql': 'SQL',
+    'python': 'Python', 'javascript': 'JavaScript', 'java': 'Java', 'react': 'React', 'node.js': 'Node.js',
+    'html': 'HTML', 'css': 'CSS', 'autocad': 'AutoCAD', 'photoshop': 'Photoshop', 'sales': 'Sales',
+    'مبيعات': 'Sales', 'marketing': 'Marketing', 'تسويق': 'Marketing', 'customer service': 'Customer Service',
+    'خدمة العملاء': 'Customer Service', 'communication': 'Communication', 'teamwork': 'Teamwork',
+    'leadership': 'Leadership', 'english': 'English', 'الإنجليزية': 'English', 'انجليزي': 'English',
+    'data entry': 'Data Entry', 'ادخال بيانات': 'Data Entry', 'project management': 'Project Management',
+    'negotiation': 'Negotiation', 'recruitment': 'Recruitment', 'payroll': 'Payroll',
+};
+
+const findKnownSkills = (text) => {
+    const lower = text.toLowerCase();
+    return uniqueStrings(Object.entries(MOCK_SKILL_KEYWORDS)
+        .filter(([keyword]) => new RegExp(`(^|[^\\p{L}])${keyword.replace(/[.+]/g, '\\$&')}($|[^\\p{L}])`, 'u').test(lower))
+        .map(([, skill]) => skill));
+};
+
+const findGovernorate = (text) => {
+    const lower = text.toLowerCase();
+    return EGYPT_GOVERNORATES.find(([en, ar]) => lower.includes(en.toLowerCase()) || text.includes(ar))?.[0] || '';
+};
+
+// FNV-1a, used to give the mock provider stable fallbacks for inputs it cannot read.
+const stableHash = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    return (hash >>> 0).toString(16);
+};
+
+// Fills any schema with empty values; used for requests the mock has no dedicated rules for.
+const mockValueForSchema = (schema) => {
+    switch (schema.type) {
+        case Type.OBJECT:
+            return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, value]) => [key, mockValueForSchema(value)]));
+        case Type.ARRAY: return [];
+        case Type.NUMBER:
+        case Type.INTEGER: return 0;
+        case Type.BOOLEAN: return false;
+        default: return schema.enum?.[0] ?? '';
+    }
+};
+
+const MOCK_LANGUAGE_KEYWORDS = {
+    'english': 'English', 'الإنجليزية': 'English', 'الانجليزية': 'English', 'arabic': 'Arabic', 'العربية': 'Arabic',
+    'french': 'French', 'الفرنسية': 'French', 'german': 'German', 'الألمانية': 'German',
+};
+
+const mockMilitaryStatus = (text) => {
+    if (/exempt|معفى|إعفاء|اعفاء/i.test(text)) return 'exempted';
+    if (/postpon|مؤجل|تأجيل/i.test(text)) return 'postponed';
+    if (/military service|أدى الخدمة|ادى الخدمة|أنهى الخدمة|انهى الخدمة/i.test(text)) return 'completed';
+    return 'unknown';
+};
+
+// An inline file (a PDF the app could not extract locally) has no text, so its bytes name the candidate.
+const mockAnalyzeResume = ({ text = '', fileData = '' }) => {
+    const body = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const joined = body.join('\n');
+    const western = toWesternDigits(joined);
+    const ageMatch = /(?:age|السن|العمر)\s*[:：-]?\s*(\d{2})/i.exec(western);
+    // Sentence-like lines make a better summary than contact details.
+    const prose = body.filter(line => line.length >= 40 && !line.includes('@'));
+    const birthYear = /(?:born|birth|تاريخ الميلاد|مواليد)[^\d]{0,20}(?:\d{1,2}[/.-]\d{1,2}[/.-])?(19\d{2}|20\d{2})/i.exec(western);
+    return {
+        name: body.find(line => line.length <= 60 && !/[@\d]/.test(line)) || `Candidate ${stableHash(fileData || text).slice(0, 6)}`,
+        age: ageMatch ? parseInt(ageMatch[1], 10) : birthYear ? new Date().getFullYear() - parseInt(birthYear[1], 10) : null,
+        governorate: findGovernorate(joined),
+        email: /[\w.+-]+@[\w-]+\.[\w.-]+/.exec(joined)?.[0] || '',
+        phone: /(?:\+?20|0)1[0125][\s-]?\d{4}[\s-]?\d{4}/.exec(western)?.[0] || '',
+        appliedFor: '',
+        skills: findKnownSkills(joined),
+        experienceSummary: (prose.length ? prose : body.slice(1)).slice(0, 3).join(' ').slice(0, 300),
+        education: body
+            .filter(line => /bachelor|b\.?sc|master|diploma|بكالوريوس|ليسانس|ماجستير|دبلوم/i.test(line))
+            .slice(0, 3)
+            .map(line => ({ degree: line.slice(0, 100), graduationYear: parseInt(/(19|20)\d{2}/.exec(toWesternDigits(line))?.[0], 10) || undefined })),
+        workHistory: [],
+        totalYearsExperience: parseInt(/(\d+)\s*\+?\s*(?:years|yrs|سنوات|سنة)/i.exec(western)?.[1], 10) || undefined,
+        languages: uniqueStrings(Object.entries(MOCK_LANGUAGE_KEYWORDS).filter(([keyword]) => joined.toLowerCase().includes(keyword)).map(([, language]) => language)),
+        certifications: [],
+        militaryStatus: mockMilitaryStatus(joined),
+    };
+};
+
+const mockParseJobProfile = ({ jobDescription = '' }) => {
+    const description = jobDescription;
+    const years = /(\d+)\s*\+?\s*(?:years|yrs|سنوات|سنة)/i.exec(toWesternDigits(description));
+    return {
+        title: description.split('\n').map(line => line.trim()).find(Boolean)?.slice(0, 80) || '',
+        requiredSkills: findKnownSkills(description),
+        preferredSkills: [],
+        minYearsExperience: years ? parseInt(years[1], 10) : undefined,
+        location: findGovernorate(description),
+    };
+};
+
+// Everything a job says about itself, lower-cased for skill lookups.
+const mockJobText = ({ jobDescription, profile }) => [
+    jobDescription,
+    profile?.title,
+    ...(profile?.requiredSkills || []),
+    ...(profile?.preferredSkills || []),
+].filter(Boolean).join('\n').toLowerCase();
+
+// Scores by how many of the candidate's skills the job text mentions, weighting any required skills.
+const mockMatchCandidate = ({ job, candidate }) => {
+    const jobText = mockJobText(job);
+    const skills = candidate.skills || [];
+    const required = job.profile?.requiredSkills || [];
+    const matched = skills.filter(skill => jobText.includes(skill.toLowerCase()));
+    const matchedLower = new Set(matched.map(skill => skill.toLowerCase()));
+    const missing = required.filter(skill => !matchedLower.has(skill.toLowerCase()));
+    const skillRatio = skills.length ? matched.length / skills.length : 0;
+    const requiredRatio = required.length ? (required.length - missing.length) / required.length : skillRatio;
+    const matchScore = Math.round(100 * (0.7 * requiredRatio + 0.3 * skillRatio));
+    return {
+        matchScore,
+        matchedSkills: matched,
+        missingSkills: missing,
+        experienceFit: matchScore >= 70 ? 'strong' : matchScore >= 40 ? 'partial' : 'weak',
+        rationale: `Rule-based score: ${matched.length} of ${skills.length} listed skills appear in the job description.`,
+        redFlags: [],
+    };
+};
+
+// Batched matching: each candidate is scored on its own against the shared job.
+const mockMatchBatch = ({ job, candidates }) => ({
+    results: candidates.map(candidate => ({ candidateId: candidate.id, ...mockMatchCandidate({ job, candidate }) })),
+});
+
+// Prefers the highest match score, then the most skills mentioned in the job text.
+const mockCompareCandidates = ({ job, candidates: compared }) => {
+    const jobText = mockJobText(job);
+    const candidates = compared.map(({ name, skills = [], matchScore }) => {
+        const matched = skills.filter(skill => jobText.includes(skill.toLowerCase()));
+        return { name, matched, rank: matchScore == null ? matched.length : 1000 + matchScore, skills };
+    });
+    const best = candidates.reduce((top, c) => (!top || c.rank > top.rank ? c : top), null);
+    return {
+        bestCandidate: best?.name || '',
+        summary: best ? `Rule-based comparison: ${best.name} covers ${best.matched.length} skills mentioned in the job description.` : '',
+        candidates: candidates.map(c => ({
+            name: c.name,
+            strengths: c.matched,
+            concerns: c.skills.length === 0 ? ['No skills listed'] : [],
+        })),
+    };
+};
+
+// Picked by the fields the requested schema asks for.
+const MOCK_RESPONDERS = [
+    { field: 'bestCandidate', respond: mockCompareCandidates },
+    { field: 'matchScore', respond: mockMatchCandidate },
+    { field: 'results', respond: mockMatchBatch },
+    { field: 'requiredSkills', respond: mockParseJobProfile },
+    { field: 'experienceSummary', respond: mockAnalyzeResume },
+];
+
+// Deterministic, offline and free: demos the whole upload -> analyze -> match flow without a key.
+const createMockProvider = () => ({
+    id: 'mock',
+    // Inline files are accepted; without their text the candidate gets a placeholder name.
+    readsFiles: true,
+    generateContent: async ({ input = {}, config = {} }) => {
+        // A short pause keeps batches slow enough to try pause and cancel.
+        await sleep(250, config.abortSignal);
+        const schema = config.responseSchema || { type: Type.STRING };
+        const responder = MOCK_RESPONDERS.find(({ field }) => schema.properties?.[field]);
+        const value = responder ? { ...mockValueForSchema(schema), ...responder.respond(input) } : mockValueForSchema(schema);
+        return { text: JSON.stringify(value), candidates: [{ finishReason: 'STOP' }] };
+    },
+});
+
+const createAiProvider = (settings) => {
+    if (settings.providerId === 'mock') return createMockProvider();
+    if (settings.providerId === 'openai') return createOpenAiCompatibleProvider(settings);
+    return createGeminiProvider();
+};
+
+// Cache entries are per model so switching providers never serves another model's output.
+const getAiModelKey = (settings) => `${settings.providerId}:${settings.models[settings.providerId]}`;
+
+const AiSettingsPanel = ({ settings, onChange, T, disabled }) => {
+    const model = settings.models[settings.providerId];
+    const setModel = (value) => onChange({ ...settings, models: { ...settings.models, [settings.providerId]: value } });
+    return html`
+        <details class="template-list ai-settings">
+            <summary>${T.aiSettingsHeader(T.aiProviders[settings.providerId], model)}</summary>
+            <div class="job-profile">
+                <label class="profile-field">
+                    <span>${T.aiProvider}</span>
+                    <select value=${settings.providerId} onChange=${e => onChange({ ...settings, providerId: e.currentTarget.value })} disabled=${disabled}>
+                        ${AI_PROVIDER_IDS.map(id => html`<option value=${id}>${T.aiProviders[id]}</option>`)}
+                    </select>
+                </label>
+                ${settings.providerId === 'gemini' && html`
+                    <label class="profile-field">
+                        <span>${T.aiModel}</span>
+                        <select value=${model} onChange=${e => setModel(e.currentTarget.value)} disabled=${disabled}>
+                            ${uniqueStrings([...GEMINI_MODELS, model]).map(name => html`<option value=${name}>${name}</option>`)}
+                        </select>
+                    </label>`}
+                ${settings.providerId === 'openai' && html`
+                    <label class="profile-field">
+                        <span>${T.aiBaseUrl}</span>
+                        <input type="text" value=${settings.baseUrl} placeholder="http://localhost:11434/v1" onChange=${e => onChange({ ...settings, baseUrl: e.currentTarget.value.trim() })} disabled=${disabled} />
+                    </label>
+                    <label class="profile-field">
+                        <span>${T.aiModel}</span>
+                        <input type="text" value=${model} placeholder="llama3.1" onChange=${e => setModel(e.currentTarget.value.trim())} disabled=${disabled} />
+                    </label>
+                    <label class="profile-field">
+                        <span>${T.aiApiKey}</span>
+                        <input type="password" value=${settings.apiKey} autocomplete="off" onChange=${e => onChange({ ...settings, apiKey: e.currentTarget.value.trim() })} disabled=${disabled} />
+                    </label>
+                    <small class="muted">${T.aiTextOnlyHint}</small>`}
+                ${settings.providerId === 'mock' && html`<small class="muted">${T.aiMockHint}</small>`}
+            </div>
+        </details>
+    `;
+};
+
+/**
+ * Local document text extraction. Gemini accepts PDFs as inline data but not Word or Excel
+ * files, so those are unpacked with the global JSZip and sent as plain text instead.
+ * Legacy binary .doc/.xls files get a best-effort scan for readable text runs.
+ */
+const MIME_TYPES = {
+    pdf: 'application/pdf',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    txt: 'text/plain',
+    rtf: 'application/rtf',
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(MIME_TYPES).map(ext => `.${ext}`);
+
+// Formats the model reads natively; everything else is converted to text locally.
+const NATIVE_MODEL_FORMATS = new Set(['pdf']);
+
+// Keeps prompts within a sensible size even for huge spreadsheets.
+const MAX_EXTRACTED_CHARS = 60000;
+
+const getExtension = (fileName) => {
+    const match = /\.([^./\\]+)$/.exec(fileName || '');
+    return match ? match[1].toLowerCase() : '';
+};
+
+const inferMimeType = (fileName) => MIME_TYPES[getExtension(fileName)] || 'application/octet-stream';
+
+const parseXml = (xml) => new DOMParser().parseFromString(xml, 'application/xml');
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+
+const byTrailingNumber = (a, b) => (parseInt(a.match(/(\d+)\.xml$/)?.[1] || '0', 10)) - (parseInt(b.match(/(\d+)\.xml$/)?.[1] || '0', 10));
+
+const extractDocxText = async (file) => {
+    const zip = await JSZip.loadAsync(file);
+    const partNames = Object.keys(zip.files).filter(name => /^word\/(document|header\d*|footer\d*)\.xml$/.test(name));
+    // The main document goes first so headers/footers don't push the content down.
+    partNames.sort((a, b) => (b === 'word/document.xml') - (a === 'word/document.xml'));
+
+    const nearestParagraph = (node) => {
+        let current = node.parentNode;
+        while (current && !(current.localName === 'p' && current.namespaceURI === WORD_NS)) current = current.parentNode;
+        return current;
+    };
+
+    const paragraphs = [];
+    for (const name of partNames) {
+        const doc = parseXml(await zip.file(name).async('string'));
+        for (const paragraph of doc.getElementsByTagNameNS(WORD_NS, 'p')) {
+            let text = '';
+            for (const node of paragraph.getElementsByTagNameNS(WORD_NS, '*')) {
+                // Text boxes nest paragraphs inside paragraphs; each run belongs to its closest one.
+                if (nearestParagraph(node) !== paragraph) continue;
+                if (node.localName === 't') text += node.textContent;
+                else if (node.localName === 'tab') text += '\t';
+                else if (node.localName === 'br' || node.localName === 'cr') text += '\n';
+            }
+            if (text.trim()) paragraphs.push(text);
+        }
+    }
+    return paragraphs.join('\n');
+};
+
+const columnIndex = (cellRef) => {
+    const letters = /^[A-Z]+/.exec(cellRef || '')?.[0] || '';
+    return Array.from(letters).reduce((index, ch) => index * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+};
+
+/**
+ * Reads every worksheet of an .xlsx file into `{ name, rows }`, where each row is an array of
+ * cell strings positioned by column so blank cells keep their place.
+ */
+const readXlsxSheets = async (file) => {
+    const zip = await JSZip.loadAsync(file);
+
+    const sharedStrings = [];
+    const sharedStringsFile = zip.file('xl/sharedStrings.xml');
+    if (sharedStringsFile) {
+        const doc = parseXml(await sharedStringsFile.async('string'));
+        for (const item of doc.getElementsByTagNameNS(SHEET_NS, 'si')) {
+            sharedStrings.push(Array.from(item.getElementsByTagNameNS(SHEET_NS, 't'), t => t.textContent).join(''));
+        }
+    }
+
+    const sheetTitles = [];
+    const workbookFile = zip.file('xl/workbook.xml');
+    if (workbookFile) {
+        const doc = parseXml(await workbookFile.async('string'));
+        for (const sheet of doc.getElementsByTagNameNS(SHEET_NS, 'sheet')) sheetTitles.push(sheet.getAttribute('name'));
+    }
+
+    const readCell = (cell) => {
+        const type = cell.getAttribute('t');
+        if (type === 'inlineStr') {
+            return Array.from(cell.getElementsByTagNameNS(SHEET_NS, 't'), t => t.textContent).join('');
+        }
+        const value = cell.getElementsByTagNameNS(SHEET_NS, 'v')[0]?.textContent ?? '';
+        if (type === 's') return sharedStrings[parseInt(value, 10)] ?? '';
+        if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+        return value;
+    };
+
+    const sheetNames = Object.keys(zip.files).filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name)).sort(byTrailingNumber);
+    const sheets = [];
+    for (const [index, name] of sheetNames.entries()) {
+        const doc = parseXml(await zip.file(name).async('string'));
+        const rows = [];
+        for (const row of doc.getElementsByTagNameNS(SHEET_NS, 'row')) {
+            const cells = [];
+            for (const cell of row.getElementsByTagNameNS(SHEET_NS, 'c')) {
+                const position = columnIndex(cell.getAttribute('r'));
+                cells[position >= 0 ? position : cells.length] = readCell(cell).trim();
+            }
+            rows.push(Array.from(cells, value => value ?? ''));
+        }
+        sheets.push({ name: sheetTitles[index] || `Sheet${index + 1}`, rows });
+    }
+    return sheets;
+};
+
+const extractXlsxText = async (file) => {
+    const sheets = await readXlsxSheets(file);
+    return sheets.map(({ name, rows }) => {
+        const lines = rows.map(row => row.filter(Boolean).join('\t')).filter(Boolean);
+        return lines.length ? `# ${name}\n${lines.join('\n')}` : '';
+    }).filter(Boolean).join('\n\n');
+};
+
+const RTF_SKIPPED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata', 'colorschememapping',
+    'datastore', 'latentstyles', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl', 'mmathPr',
+]);
+
+// Handles the subset of RTF that resumes use: paragraphs, tabs, \'hh code-page bytes and \uN escapes.
+const extractRtfText = (rtf) => {
+    const codePage = /\\ansicpg(\d+)/.exec(rtf)?.[1] || '1252';
+    let decoder;
+    try {
+        decoder = new TextDecoder(`windows-${codePage}`);
+    } catch {
+        decoder = new TextDecoder('windows-1252');
+    }
+
+    let output = '';
+    let bytes = [];
+    const flushBytes = () => {
+        if (bytes.length) output += decoder.decode(new Uint8Array(bytes));
+        bytes = [];
+    };
+    const emit = (text) => {
+        flushBytes();
+        output += text;
+    };
+
+    const stack = [];
+    let skip = false;
+    let unicodeSkip = 1;
+    let pendingSkip = 0;
+
+    for (let i = 0; i < rtf.length; i++) {
+        const ch = rtf[i];
+        if (ch === '{') {
+            stack.push({ skip, unicodeSkip });
+            continue;
+        }
+        if (ch === '}') {
+            ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+            continue;
+        }
+        if (ch === '\\') {
+            const next = rtf[i + 1];
+            if (next === '\\' || next === '{' || next === '}') {
+                i++;
+                if (!skip) emit(next);
+                continue;
+            }
+            if (next === "'") {
+                const byte = parseInt(rtf.substr(i + 2, 2), 16);
+                i += 3;
+                if (pendingSkip > 0) pendingSkip--;
+                else if (!skip && !isNaN(byte)) bytes.push(byte);
+                continue;
+            }
+            if (next === '*') {
+                i++;
+                skip = true;
+                continue;
+            }
+            const control = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+            if (!control) {
+                i++;
+                continue;
+            }
+            i += control[0].length;
+            const [, word, param] = control;
+            if (RTF_SKIPPED_DESTINATIONS.has(word)) skip = true;
+            else if (word === 'uc') unicodeSkip = parseInt(param, 10) || 0;
+            else if (!skip) {
+                if (word === 'par' || word === 'line') emit('\n');
+                else if (word === 'tab') emit('\t');
+                else if (word === 'u') {
+                    let code = parseInt(param, 10);
+                    if (code < 0) code += 65536;
+                    emit(String.fromCharCode(code));
+                    pendingSkip = unicodeSkip;
+                }
+            }
+            continue;
+        }
+        if (ch === '\r' || ch === '\n') continue;
+        if (pendingSkip > 0) {
+            pendingSkip--;
+            continue;
+        }
+        if (!skip) emit(ch);
+    }
+    flushBytes();
+    return output.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+// Legacy binary formats store text as UTF-16LE or 8-bit runs; pull out the readable ones.
+const extractLegacyText = async (file) => {
+    const buffer = await file.arrayBuffer();
+    const runs = new Set();
+    const collect = (text) => {
+        for (const match of text.matchAll(/[\u0020-\u007E\u00A0-\u024F\u0600-\u06FF\t]{5,}/g)) {
+            const run = match[0].trim();
+            if (/[A-Za-z\u0600-\u06FF]{3,}/.test(run)) runs.add(run);
+        }
+    };
+    collect(new TextDecoder('utf-16le').decode(buffer.byteLength % 2 ? buffer.slice(0, -1) : buffer));
+    collect(new TextDecoder('windows-1252').decode(buffer));
+    return Array.from(runs).join('\n');
+};
+
+// Legacy scans pick up style and font names too, so require a reasonable amount of text.
+const MIN_LEGACY_TEXT_LENGTH = 200;
+
+/**
+ * Returns the plain text of a document, or null for formats the model reads natively.
+ * Throws an 'unsupportedFormat' error when nothing readable can be found.
+ */
+const extractDocumentText = async (file) => {
+    const extension = getExtension(file.name);
+    if (NATIVE_MODEL_FORMATS.has(extension)) return null;
+
+    let text = '';
+    try {
+        if (extension === 'docx') text = await extractDocxText(file);
+        else if (extension === 'xlsx') text = await extractXlsxText(file);
+        else if (extension === 'rtf') text = extractRtfText(await file.text());
+        else if (extension === 'txt') text = await file.text();
+        else if (extension === 'doc' || extension === 'xls') {
+            text = await extractLegacyText(file);
+            if (text.length < MIN_LEGACY_TEXT_LENGTH) text = '';
+        } else {
+            throw categorizedError(`Unsupported file type: .${extension || '?'}`, 'unsupportedFormat');
+        }
+    } catch (e) {
+        if (e?.category) throw e;
+        throw categorizedError(`Could not read ${file.name}: ${e instanceof Error ? e.message : e}`, 'unsupportedFormat');
+    }
+
+    if (!text.trim()) {
+        const hint = extension === 'doc' || extension === 'xls' ? ' Save it as PDF or .docx/.xlsx and upload it again.' : '';
+        throw categorizedError(`No readable text found in ${file.name}.${hint}`, 'unsupportedFormat');
+    }
+    return text.slice(0, MAX_EXTRACTED_CHARS);
+};
+
+/**
+ * Pause/resume/cancel control for the analysis and matching worker pools. Pausing lets
+ * in-flight requests finish but keeps workers from picking up new items; cancelling
+ * aborts in-flight requests through the shared AbortSignal.
+ */
+const createBatchController = () => {
+    const abortController = new AbortController();
+    let paused = false;
+    let waiters = [];
+    const release = () => {
+        waiters.forEach(resolve => resolve());
+        waiters = [];
+    };
+    return {
+        signal: abortController.signal,
+        get paused() { return paused; },
+        pause() { paused = true; },
+        resume() {
+            paused = false;
+            release();
+        },
+        cancel() {
+            abortController.abort();
+            release();
+        },
+        waitIfPaused() {
+            if (!paused || abortController.signal.aborted) return Promise.resolve();
+            return new Promise(resolve => waiters.push(resolve));
+        },
+    };
+};
+
+const QUEUE_STATUSES = ['pending', 'running', 'done', 'failed', 'cancelled'];
+
+const BatchQueue = ({ batch, T, blind, onPause, onResume, onCancel }) => {
+    const counts = QUEUE_STATUSES.reduce((acc, status) => ({ ...acc, [status]: batch.items.filter(i => i.status === status).length }), {});
+    return html`
+        <div class="batch-queue">
+            ${batch.active && html`
+                <div class="batch-controls">
+                    ${batch.paused
+                        ? html`<button class="secondary-btn" onClick=${onResume}>${T.resumeBatch}</button>`
+                        : html`<button class="secondary-btn" onClick=${onPause}>${T.pauseBatch}</button>`}
+                    <button class="secondary-btn danger" onClick=${onCancel}>${T.cancelBatch}</button>
+                </div>`}
+            <details>
+                <summary>${QUEUE_STATUSES.filter(status => counts[status] > 0).map(status => `${T.queueStatuses[status]}: ${counts[status]}`).join(' · ')}</summary>
+                <ul class="queue-list">
+                    ${batch.items.map(item => html`
+                        <li key=${item.id} class=${`queue-item ${item.status}`}>
+                            <span class="queue-label">${blind ? item.blindLabel : item.label}</span>
+                            <span class="queue-status">${T.queueStatuses[item.status]}</span>
+                        </li>`)}
+                </ul>
+            </details>
+        </div>
+    `;
+};
+
+/**
+ * Local persistence backed by IndexedDB. Analyzed candidates are stored together with
+ * their original file blobs so a reload doesn't throw away paid analysis work.
+ * New stores are added to DB_STORES and DB_VERSION is bumped so existing databases upgrade.
+ */
+const DB_NAME = 'cv-analyzer';
+const DB_VERSION = 7;
+const DB_STORES = {
+    candidates: { keyPath: 'id' },
+    analysisCache: { keyPath: 'key' },
+    jobTemplates: { keyPath: 'id' },
+    jobOpenings: { keyPath: 'id' },
+    filterPresets: { keyPath: 'id' },
+    skillSynonyms: { keyPath: 'id' },
+    messageTemplates: { keyPath: 'id' },
+};
+
+let dbPromise = null;
+const getDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const [name, options] of Object.entries(DB_STORES)) {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                    }
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later call to retry if opening failed (e.g. private browsing).
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+const runTransaction = async (storeName, mode, operation) => {
+    const db = await getDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+const createStore = (storeName) => ({
+    getAll: () => runTransaction(storeName, 'readonly', store => store.getAll()),
+    get: (key) => runTransaction(storeName, 'readonly', store => store.get(key)),
+    put: (record) => runTransaction(storeName, 'readwrite', store => store.put(record)),
+    putMany: (records) => runTransaction(storeName, 'readwrite', store => {
+        records.forEach(record => store.put(record));
+    }),
+    delete: (key) => runTransaction(storeName, 'readwrite', store => store.delete(key)),
+    clear: () => runTransaction(storeName, 'readwrite', store => store.clear()),
+});
+
+const candidateStore = createStore('candidates');
+const analysisCacheStore = createStore('analysisCache');
+const jobTemplateStore = createStore('jobTemplates');
+const jobOpeningStore = createStore('jobOpenings');
+const filterPresetStore = createStore('filterPresets');
+const skillSynonymStore = createStore('skillSynonyms');
+const messageTemplateStore = createStore('messageTemplates');
+
+/**
+ * Returns the hex SHA-256 digest of a file's bytes, or null when WebCrypto is unavailable
+ * (e.g. the page is served over plain HTTP), in which case caching is simply skipped.
+ */
+const hashFile = async (file) => {
+    if (!globalThis.crypto?.subtle) return null;
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Extraction output depends on the prompt language and the model, so the same file is cached once per combination.
+// Bumped whenever resumeSchema changes so older cached extractions are not reused.
+const ANALYSIS_SCHEMA_VERSION = 2;
+
+const getAnalysisCacheKey = (fileHash, lang, modelKey) => `${fileHash}|${lang}|${modelKey}|v${ANALYSIS_SCHEMA_VERSION}`;
+
+// Blob URLs only live as long as the page, so they are dropped before saving and recreated on load.
+// The per-opening view fields added by the results panel are derived and never stored either.
+const toCandidateRecord = ({ fileURL, matchScore, matchDetails, bestOpening, ...record }) => record;
+
+/**
+ * Background fields extracted alongside the contact details: education, work history,
+ * languages, certifications and military service status (required paperwork for most
+ * Egyptian male hires). Total years of experience is recomputed from the work history
+ * whenever its dates can be read, since models are unreliable at date arithmetic.
+ */
+const MILITARY_STATUSES = ['completed', 'exempted', 'postponed', 'notApplicable', 'unknown'];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const PRESENT_PATTERN = /present|current|now|to date|till date|حتى الآن|حاليا|حالياً|الآن/i;
+
+// Returns a fractional year (2019.25 = April 2019), or null when no year can be found.
+const parseResumeDate = (text) => {
+    const value = toWesternDigits(String(text || '')).trim().toLowerCase();
+    if (!value) return null;
+    if (PRESENT_PATTERN.test(value)) {
+        const now = new Date();
+        return now.getFullYear() + now.getMonth() / 12;
+    }
+    const yearMatch = /(19|20)\d{2}/.exec(value);
+    if (!yearMatch) return null;
+    const year = parseInt(yearMatch[0], 10);
+    const numericMonth = /(?:^|\D)(\d{1,2})[/.-](?:19|20)\d{2}/.exec(value)?.[1] || /(?:19|20)\d{2}[/.-](\d{1,2})(?:\D|$)/.exec(value)?.[1];
+    const namedMonth = MONTH_NAMES.findIndex(name => value.includes(name));
+    const month = numericMonth ? parseInt(numericMonth, 10) - 1 : namedMonth;
+    return year + (month >= 0 && month < 12 ? month / 12 : 0);
+};
+
+// Sums the work history with overlapping jobs counted once; null if no entry has usable dates.
+const computeYearsOfExperience = (workHistory) => {
+    const ranges = (workHistory || [])
+        .map(job => [parseResumeDate(job.startDate), parseResumeDate(job.endDate)])
+        .filter(([start, end]) => start !== null && end !== null && end >= start)
+        .sort((a, b) => a[0] - b[0]);
+    if (ranges.length === 0) return null;
+    let total = 0;
+    let [currentStart, currentEnd] = ranges[0];
+    for (const [start, end] of ranges.slice(1)) {
+        if (start <= currentEnd) {
+            currentEnd = Math.max(currentEnd, end);
+        } else {
+            total += currentEnd - currentStart;
+            [currentStart, currentEnd] = [start, end];
+        }
+    }
+    total += currentEnd - currentStart;
+    return Math.round(total * 2) / 2;
+};
+
+const withExperienceYears = (data) => {
+    const computed = computeYearsOfExperience(data.workHistory);
+    return { ...data, totalYearsExperience: computed ?? data.totalYearsExperience ?? null };
+};
+
+const formatEducation = (entry) => {
+    const degree = [entry.degree, entry.field].filter(Boolean).join(', ');
+    return [degree, entry.institution].filter(Boolean).join(' — ') + (entry.graduationYear ? ` (${entry.graduationYear})` : '');
+};
+
+const formatWorkEntry = (entry) => {
+    const role = [entry.title, entry.employer].filter(Boolean).join(' @ ');
+    const dates = [entry.startDate, entry.endDate].filter(Boolean).join(' – ');
+    return dates ? `${role} (${dates})` : role;
+};
+
+// Candidate lines shared by every prompt that scores or compares candidates.
+const describeCandidateBackground = (resume) => {
+    const lines = [];
+    if (resume.totalYearsExperience != null) lines.push(`- Years of Experience: ${resume.totalYearsExperience}`);
+    if (resume.workHistory?.length) lines.push(`- Work History: ${resume.workHistory.map(formatWorkEntry).join('; ')}`);
+    if (resume.education?.length) lines.push(`- Education: ${resume.education.map(formatEducation).join('; ')}`);
+    if (resume.languages?.length) lines.push(`- Languages: ${resume.languages.join(', ')}`);
+    if (resume.certifications?.length) lines.push(`- Certifications: ${resume.certifications.join(', ')}`);
+    if (resume.militaryStatus && resume.militaryStatus !== 'unknown') lines.push(`- Military Service: ${resume.militaryStatus}`);
+    return lines;
+};
+
+/**
+ * Candidates keep one score entry per job opening: `scores[openingId] = { matchScore, matchDetails, matchedAt }`.
+ * Records saved before openings existed carry a single top-level matchScore, which is moved
+ * under a placeholder "previous match" opening so it isn't lost.
+ */
+const LEGACY_OPENING_ID = 'opening-legacy';
+
+const migrateLegacyScore = ({ matchScore, matchDetails, ...record }) => {
+    const scores = { ...record.scores };
+    if (matchScore != null && Object.keys(scores).length === 0) {
+        scores[LEGACY_OPENING_ID] = { matchScore, matchDetails: matchDetails ?? null, matchedAt: null };
+    }
+    return { ...record, scores };
+};
+
+const needsLegacyOpening = (records, openings) =>
+    records.some(r => r.scores?.[LEGACY_OPENING_ID]) && !openings.some(o => o.id === LEGACY_OPENING_ID);
+
+const getBestOpening = (resume, openings) => {
+    let best = null;
+    for (const opening of openings) {
+        const score = resume.scores?.[opening.id]?.matchScore;
+        if (score != null && (!best || score > best.matchScore)) {
+            best = { id: opening.id, name: opening.name, matchScore: score };
+        }
+    }
+    return best;
+};
+
+/**
+ * Recruitment pipeline. Every candidate sits in exactly one stage; records saved before
+ * stages existed are treated as "new".
+ */
+const PIPELINE_STAGES = ['new', 'shortlisted', 'interview', 'offer', 'rejected'];
+const MAX_RATING = 5;
+
+const getStage = (resume) => resume.stage || 'new';
+
+const createPipelineFields = () => ({ stage: 'new', notes: '', rating: 0, tags: [] });
+
+const StarRating = ({ value, onChange, T, disabled }) => html`
+    <div class="star-rating" role="radiogroup" aria-label=${T.rating}>
+        ${Array.from({ length: MAX_RATING }, (_, i) => i + 1).map(star => html`
+            <button
+                type="button"
+                class=${star <= value ? 'filled' : ''}
+                role="radio"
+                aria-checked=${star === value}
+                aria-label=${T.ratingStars(star)}
+                onClick=${() => onChange(star === value ? 0 : star)}
+                disabled=${disabled}
+            >★</button>`)}
+    </div>
+`;
+
+const PipelineBoard = ({ resumes, T, onMove, disabled }) => {
+    const [dragOverStage, setDragOverStage] = useState(null);
+
+    const onDrop = (e, stage) => {
+        e.preventDefault();
+        setDragOverStage(null);
+        const id = e.dataTransfer.getData('text/plain');
+        if (id && !disabled) onMove(id, stage);
+    };
+
+    return html`
+        <div class="pipeline-board">
+            ${PIPELINE_STAGES.map(stage => {
+                const stageResumes = resumes.filter(r => getStage(r) === stage);
+                return html`
+                    <div
+                        key=${stage}
+                        class=${`pipeline-column stage-${stage} ${dragOverStage === stage ? 'drag-over' : ''}`}
+                        onDragOver=${e => { e.preventDefault(); setDragOverStage(stage); }}
+                        onDragLeave=${() => setDragOverStage(null)}
+                        onDrop=${e => onDrop(e, stage)}
+                    >
+                        <h4>${T.stages[stage]} <span class="column-count">${stageResumes.length}</span></h4>
+                        ${stageResumes.map(resume => html`
+                            <div
+                                key=${resume.id}
+                                class="pipeline-card"
+                                draggable=${!disabled}
+                                onDragStart=${e => e.dataTransfer.setData('text/plain', resume.id)}
+                            >
+                                <div class="pipeline-card-header">
+                                    <strong>${resume.name || T.unspecified}</strong>
+                                    ${resume.matchScore !== null && html`<span class="match-score">${resume.matchScore}%</span>`}
+                                </div>
+                                ${resume.appliedFor && html`<small>${resume.appliedFor}</small>`}
+                                ${resume.rating > 0 && html`<div class="rating-display">${'★'.repeat(resume.rating)}</div>`}
+                                ${resume.tags?.length > 0 && html`
+                                    <ul class="skills-list">
+                                        ${resume.tags.map(tag => html`<li class="skill-tag tag">${tag}</li>`)}
+                                    </ul>`}
+                            </div>`)}
+                    </div>
+                `;
+            })}
+        </div>
+    `;
+};
+
+const sortOpenings = (openings) => [...openings].sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0));
+
+/**
+ * Structured job profile parsed from the free-text job description. Each criterion has a
+ * weight from 0 (ignore) to 5 (critical) that is passed to the model when scoring.
+ */
+const MAX_PROFILE_WEIGHT = 5;
+
+const createJobProfile = (fields = {}) => ({
+    title: '',
+    requiredSkills: [],
+    preferredSkills: [],
+    minYearsExperience: null,
+    location: '',
+    ageRange: { min: null, max: null },
+    ...fields,
+    weights: { requiredSkills: 5, preferredSkills: 2, experience: 3, location: 1, age: 1, ...fields.weights },
+});
+
+// In blind mode the location and age criteria are left out along with the candidate's values.
+const describeJobProfile = (profile, blind = false) => {
+    const { weights } = profile;
+    const lines = [`- Title: ${profile.title || 'Not specified'}`];
+    if (profile.requiredSkills.length) lines.push(`- Required skills (weight ${weights.requiredSkills}/${MAX_PROFILE_WEIGHT}): ${profile.requiredSkills.join(', ')}`);
+    if (profile.preferredSkills.length) lines.push(`- Preferred skills (weight ${weights.preferredSkills}/${MAX_PROFILE_WEIGHT}): ${profile.preferredSkills.join(', ')}`);
+    if (profile.minYearsExperience != null) lines.push(`- Minimum years of experience (weight ${weights.experience}/${MAX_PROFILE_WEIGHT}): ${profile.minYearsExperience}`);
+    if (profile.location && !blind) lines.push(`- Location / governorate (weight ${weights.location}/${MAX_PROFILE_WEIGHT}): ${profile.location}`);
+    if (!blind && (profile.ageRange.min != null || profile.ageRange.max != null)) {
+        lines.push(`- Age range (weight ${weights.age}/${MAX_PROFILE_WEIGHT}): ${profile.ageRange.min ?? 'any'}-${profile.ageRange.max ?? 'any'}`);
+    }
+    return lines.join('\n');
+};
+
+// The job part of a prompt: the weighted profile when there is one, otherwise the raw description.
+const describeJobForPrompt = ({ profile, jobDescription }, blind = false) => profile
+    ? `Job Profile (each criterion is weighted from 0 = ignore to ${MAX_PROFILE_WEIGHT} = critical; weigh the score accordingly):\n${describeJobProfile(profile, blind)}`
+        + (jobDescription ? `\n\nOriginal Job Description: "${jobDescription}"` : '')
+    : `Job Description: "${jobDescription}"`;
+
+// Hard filter used by the "matches job profile" toggle. Candidates with unknown values are
+// excluded, the same way the free-text age filter treats a missing age.
+const meetsProfileCriteria = (resume, profile) => {
+    if (profile.location) {
+        if (!resume.governorate || !resume.governorate.toLowerCase().includes(profile.location.toLowerCase())) return false;
+    }
+    const { min, max } = profile.ageRange;
+    if (min != null || max != null) {
+        if (resume.age == null) return false;
+        if (min != null && resume.age < min) return false;
+        if (max != null && resume.age > max) return false;
+    }
+    return true;
+};
+
+// Candidate lines for the match prompt. Age and location only matter when the profile asks for
+// them, and are never sent in blind mode.
+const describeCandidateForMatch = (resume, profile, skillIndex, blind = false) => [
+    `- Skills: ${normalizeSkills(resume.skills, skillIndex).join(', ')}`,
+    `- Experience Summary: ${resume.experienceSummary}`,
+    ...describeCandidateBackground(resume),
+    ...(profile && !blind ? [`- Age: ${resume.age ?? 'Unknown'}`, `- Governorate: ${resume.governorate || 'Unknown'}`] : []),
+];
+
+/**
+ * Batched matching. Several candidates are scored in one request; batches are packed by
+ * estimated prompt tokens rather than a fixed count, so pools with long work histories get
+ * smaller batches. A cheap local keyword pre-filter can limit the run to the top N
+ * candidates, and the plan doubles as the cost and time estimate shown before a run.
+ */
+const MATCH_MODES = ['batched', 'single'];
+const MATCH_CONCURRENCY = { single: 5, batched: 2 };
+const MATCH_BATCH_TOKEN_BUDGET = 6000;
+const MAX_MATCH_BATCH_SIZE = 12;
+const MATCH_PROMPT_OVERHEAD_TOKENS = 150;
+const MATCH_OUTPUT_TOKENS_PER_CANDIDATE = 200;
+// Large runs ask for confirmation with the estimate before any request is sent.
+const MATCH_CONFIRM_REQUESTS = 25;
+
+// USD per million tokens, used only for the estimate. Unknown models show no cost.
+const MODEL_PRICING = {
+    'gemini:gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini:gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+    'gemini:gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'mock:mock-rules': { input: 0, output: 0 },
+};
+
+// A rough count without a network call: about 4 characters per token for Latin text, while
+// Arabic script tokenizes closer to 2 characters per token.
+const estimateTokens = (text) => {
+    const value = String(text || '');
+    const nonLatin = (value.match(/[^\u0000-\u024F]/g) || []).length;
+    return Math.ceil((value.length - nonLatin) / 4 + nonLatin / 2);
+};
+
+const buildMatchBatches = (candidates, profile, skillIndex, mode, blind = false) => {
+    if (mode === 'single') return candidates.map(resume => [resume]);
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+    for (const resume of candidates) {
+        const tokens = estimateTokens(describeCandidateForMatch(resume, profile, skillIndex, blind).join('\n'));
+        if (current.length > 0 && (current.length >= MAX_MATCH_BATCH_SIZE || currentTokens + tokens > MATCH_BATCH_TOKEN_BUDGET)) {
+            batches.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+        current.push(resume);
+        currentTokens += tokens;
+    }
+    if (current.length > 0) batches.push(current);
+    return batches;
+};
+
+// Profile skills count double when required. Without a profile, the pool's own skills that
+// appear in the job description are used, falling back to the description's longer words.
+const getJobKeywords = ({ profile, jobDescription }, candidates, skillIndex) => {
+    if (profile && (profile.requiredSkills.length || profile.preferredSkills.length)) {
+        return [
+            ...normalizeSkills(profile.requiredSkills, skillIndex).map(skill => ({ term: normalizeSearchText(skill), weight: 2 })),
+            ...normalizeSkills(profile.preferredSkills, skillIndex).map(skill => ({ term: normalizeSearchText(skill), weight: 1 })),
+        ];
+    }
+    const text = ` ${normalizeSearchText(jobDescription)} `;
+    const poolSkills = new Set(candidates.flatMap(c => normalizeSkills(c.skills, skillIndex).map(normalizeSearchText)));
+    const found = [...poolSkills].filter(skill => skill.length > 1 && text.includes(` ${skill} `));
+    const terms = found.length > 0 ? found : [...new Set(text.split(' ').filter(word => word.length >= 4))];
+    return terms.map(term => ({ term, weight: 1 }));
+};
+
+// Share of the job keyword weight found in the candidate's skills, summary and job titles (0-1).
+const scoreKeywordOverlap = (resume, keywords, skillIndex) => {
+    const total = keywords.reduce((sum, k) => sum + k.weight, 0);
+    if (total === 0) return 0;
+    const haystack = ` ${normalizeSearchText([
+        ...normalizeSkills(resume.skills, skillIndex),
+        resume.experienceSummary,
+        resume.appliedFor,
+        ...(resume.workHistory || []).map(job => job.title),
+    ].filter(Boolean).join(' '))} `;
+    return keywords.reduce((sum, k) => sum + (haystack.includes(k.term) ? k.weight : 0), 0) / total;
+};
+
+const planMatchRun = (candidates, job, { mode, topN, blind }, skillIndex, modelKey) => {
+    const limit = parseInt(topN, 10);
+    let toSend = candidates;
+    if (limit > 0 && limit < candidates.length) {
+        const keywords = getJobKeywords(job, candidates, skillIndex);
+        toSend = candidates
+            .map(resume => ({ resume, score: scoreKeywordOverlap(resume, keywords, skillIndex) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(entry => entry.resume);
+    }
+    const batches = buildMatchBatches(toSend, job.profile, skillIndex, mode, blind);
+    const jobTokens = estimateTokens(describeJobForPrompt(job, blind)) + MATCH_PROMPT_OVERHEAD_TOKENS;
+    const candidateTokens = toSend.reduce((sum, resume) => sum + estimateTokens(describeCandidateForMatch(resume, job.profile, skillIndex, blind).join('\n')), 0);
+    const inputTokens = jobTokens * batches.length + candidateTokens;
+    const outputTokens = toSend.length * MATCH_OUTPUT_TOKENS_PER_CANDIDATE;
+    const pricing = MODEL_PRICING[modelKey];
+    const cost = pricing ? (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6 : null;
+    // Requests run in waves of the concurrency limit; each takes a couple of seconds plus generation time.
+    const waves = Math.ceil(batches.length / MATCH_CONCURRENCY[mode]);
+    const seconds = Math.round(waves * (2 + (outputTokens / Math.max(batches.length, 1)) / 150));
+    return { toSend, skipped: candidates.length - toSend.length, batches, inputTokens, outputTokens, cost, seconds };
+};
+
+const splitList = (text) => text.split(/[,،\n]/).map(item => item.trim()).filter(Boolean);
+
+const parseOptionalNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+const JobProfileEditor = ({ profile, onChange, T, disabled }) => {
+    const update = (fields) => onChange({ ...profile, ...fields });
+    const updateWeight = (key, value) => onChange({ ...profile, weights: { ...profile.weights, [key]: Number(value) } });
+    const weightInput = (key) => html`
+        <label class="weight-input" title=${T.weightHint}>
+            <span>${T.weight}</span>
+            <input type="range" min="0" max=${MAX_PROFILE_WEIGHT} step="1" value=${profile.weights[key]}
+                onInput=${e => updateWeight(key, e.currentTarget.value)} disabled=${disabled} />
+            <output>${profile.weights[key]}</output>
+        </label>`;
+
+    return html`
+        <div class="job-profile">
+            <label class="profile-field">
+                <span>${T.profileTitle}</span>
+                <input type="text" value=${profile.title} onInput=${e => update({ title: e.currentTarget.value })} disabled=${disabled} />
+            </label>
+            <div class="profile-field">
+                <label>
+                    <span>${T.profileRequiredSkills}</span>
+                    <input type="text" value=${profile.requiredSkills.join(', ')} onChange=${e => update({ requiredSkills: splitList(e.currentTarget.value) })} disabled=${disabled} />
+                </label>
+                ${weightInput('requiredSkills')}
+            </div>
+            <div class="profile-field">
+                <label>
+                    <span>${T.profilePreferredSkills}</span>
+                    <input type="text" value=${profile.preferredSkills.join(', ')} onChange=${e => update({ preferredSkills: splitList(e.currentTarget.value) })} disabled=${disabled} />
+                </label>
+                ${weightInput('preferredSkills')}
+            </div>
+            <div class="profile-field">
+                <label>
+                    <span>${T.profileMinYears}</span>
+                    <input type="number" min="0" value=${profile.minYearsExperience ?? ''} onInput=${e => update({ minYearsExperience: parseOptionalNumber(e.currentTarget.value) })} disabled=${disabled} />
+                </label>
+                ${weightInput('experience')}
+            </div>
+            <div class="profile-field">
+                <label>
+                    <span>${T.profileLocation}</span>
+                    <input type="text" value=${profile.location} onInput=${e => update({ location: e.currentTarget.value })} disabled=${disabled} />
+                </label>
+                ${weightInput('location')}
+            </div>
+            <div class="profile-field">
+                <label>
+                    <span>${T.profileAgeRange}</span>
+                    <div class="range-inputs">
+                        <input type="number" min="0" placeholder=${T.min} value=${profile.ageRange.min ?? ''} onInput=${e => update({ ageRange: { ...profile.ageRange, min: parseOptionalNumber(e.currentTarget.value) } })} disabled=${disabled} />
+                        <input type="number" min="0" placeholder=${T.max} value=${profile.ageRange.max ?? ''} onInput=${e => update({ ageRange: { ...profile.ageRange, max: parseOptionalNumber(e.currentTarget.value) } })} disabled=${disabled} />
+                    </div>
+                </label>
+                ${weightInput('age')}
+            </div>
+        </div>
+    `;
+};
+
+const formatPhoneForWhatsApp = (phone) => {
+    if (!phone) return '';
+    let digitsOnly = phone.toString().replace(/\D/g, '');
+
+    // Already has Egyptian country code (e.g., from +20, 0020)
+    if (digitsOnly.startsWith('20')) {
+      return digitsOnly;
+    }
+
+    // Standard Egyptian mobile number (e.g., 010..., 011...)
+    if (digitsOnly.startsWith('01') && digitsOnly.length === 11) {
+      return '20' + digitsOnly.substring(1); // Prepend 20 and remove the leading 0
+    }
+    
+    // If it's a mobile number without the leading 0 (e.g., 10..., 11...)
+    if (digitsOnly.startsWith('1') && digitsOnly.length === 10) {
+        return '20' + digitsOnly;
+    }
+
+    // Fallback for other numbers, return as is (cleaned)
+    return digitsOnly;
+};
+
+/**
+ * Fuzzy duplicate detection. Candidates are bucketed by file hash, normalized phone,
+ * email and a transliterated name "skeleton" so that e.g. "Ahmed Mohamed" and "أحمد محمد"
+ * land in the same bucket. Only identical files are dropped automatically; every other
+ * match is surfaced for a reviewer to merge or keep both.
+ */
+const ARABIC_INDIC_DIGITS = /[\u0660-\u0669\u06F0-\u06F9]/g;
+
+const toWesternDigits = (text) => text.replace(ARABIC_INDIC_DIGITS, d => String(d.charCodeAt(0) & 0xF));
+
+const normalizePhone = (phone) => {
+    if (!phone) return '';
+    const cleaned = toWesternDigits(String(phone)).replace(/^\s*(\+|00)/, '');
+    const normalized = formatPhoneForWhatsApp(cleaned);
+    // Very short numbers are more likely extraction noise than a real identifier.
+    return normalized.length >= 8 ? normalized : '';
+};
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+const ARABIC_TO_LATIN = {
+    'ا': 'a', 'أ': 'a', 'إ': 'e', 'آ': 'a', 'ء': '', 'ئ': 'e', 'ؤ': 'o', 'ب': 'b', 'ت': 't', 'ث': 't',
+    'ج': 'g', 'ح': 'h', 'خ': 'kh', 'د': 'd', 'ذ': 'z', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh',
+    'ص': 's', 'ض': 'd', 'ط': 't', 'ظ': 'z', 'ع': '', 'غ': 'gh', 'ف': 'f', 'ق': 'k', 'ك': 'k',
+    'ل': 'l', 'م': 'm', 'ن': 'n', 'ه': 'h', 'ة': '', 'و': 'w', 'ي': 'y', 'ى': 'a',
+};
+
+// Reduces a name to its consonants so spelling variants (Mohamed/Muhammad/محمد) compare equal.
+const nameSkeleton = (name) => {
+    const latin = Array.from((name || '').normalize('NFKD').toLowerCase())
+        .map(ch => ARABIC_TO_LATIN[ch] ?? ch)
+        .join('')
+        .replace(/[\u0300-\u036f\u064B-\u065F]/g, '')
+        .replace(/q/g, 'k')
+        .replace(/j/g, 'g')
+        .replace(/ph/g, 'f')
+        .replace(/th/g, 't')
+        .replace(/dh/g, 'z');
+    return latin
+        .replace(/[^a-z]/g, '')
+        .replace(/[aeiouwy]/g, '')
+        .replace(/(.)\1+/g, '$1');
+};
+
+const DUPLICATE_REASONS = ['file', 'phone', 'email', 'name'];
+
+const getDuplicateKeys = (resume) => {
+    const keys = [];
+    if (resume.fileHash) keys.push(['file', resume.fileHash]);
+    const phone = normalizePhone(resume.phone);
+    if (phone) keys.push(['phone', phone]);
+    const email = normalizeEmail(resume.email);
+    if (email) keys.push(['email', email]);
+    const skeleton = nameSkeleton(resume.name);
+    // Very short skeletons (e.g. "Ali") collide far too often to be useful on their own.
+    if (skeleton.length >= 4) keys.push(['name', skeleton]);
+    return keys;
+};
+
+const findDuplicatePairs = (list) => {
+    const buckets = new Map();
+    for (const resume of list) {
+        for (const [reason, value] of getDuplicateKeys(resume)) {
+            const key = `${reason}:${value}`;
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(resume);
+        }
+    }
+
+    const pairs = new Map();
+    for (const [key, members] of buckets) {
+        const reason = key.slice(0, key.indexOf(':'));
+        for (let i = 0; i < members.length; i++) {
+            for (let j = i + 1; j < members.length; j++) {
+                const [a, b] = [members[i], members[j]];
+                const pairKey = [a.id, b.id].sort().join('|');
+                if (!pairs.has(pairKey)) pairs.set(pairKey, { id: pairKey, a, b, reasons: [] });
+                pairs.get(pairKey).reasons.push(reason);
+            }
+        }
+    }
+
+    return Array.from(pairs.values()).filter(({ a, b, reasons }) => {
+        if (a.notDuplicateOf?.includes(b.id) || b.notDuplicateOf?.includes(a.id)) return false;
+        if (reasons.length > 1 || reasons[0] !== 'name') return true;
+        // A shared name alone is only suspicious when the contact details don't contradict it.
+        const emailsDiffer = normalizeEmail(a.email) && normalizeEmail(b.email) && normalizeEmail(a.email) !== normalizeEmail(b.email);
+        const phonesDiffer = normalizePhone(a.phone) && normalizePhone(b.phone) && normalizePhone(a.phone) !== normalizePhone(b.phone);
+        return !emailsDiffer && !phonesDiffer;
+    }).map(pair => ({ ...pair, reasons: DUPLICATE_REASONS.filter(r => pair.reasons.includes(r)) }));
+};
+
+const uniqueStrings = (items) => {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = String(item).trim().toLowerCase();
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+// Keeps the primary record and fills its gaps from the secondary one.
+const mergeCandidates = (primary, secondary) => {
+    const merged = { ...primary };
+    for (const [key, value] of Object.entries(secondary)) {
+        if ((merged[key] === undefined || merged[key] === null || merged[key] === '') && value !== undefined) {
+            merged[key] = value;
+        }
+    }
+    merged.skills = uniqueStrings([...(primary.skills || []), ...(secondary.skills || [])]);
+    merged.languages = uniqueStrings([...(primary.languages || []), ...(secondary.languages || [])]);
+    merged.certifications = uniqueStrings([...(primary.certifications || []), ...(secondary.certifications || [])]);
+    for (const key of ['education', 'workHistory']) {
+        if (!primary[key]?.length && secondary[key]?.length) merged[key] = secondary[key];
+    }
+    if ((!primary.militaryStatus || primary.militaryStatus === 'unknown') && secondary.militaryStatus) merged.militaryStatus = secondary.militaryStatus;
+    merged.totalYearsExperience = computeYearsOfExperience(merged.workHistory) ?? primary.totalYearsExperience ?? secondary.totalYearsExperience ?? null;
+    merged.tags = uniqueStrings([...(primary.tags || []), ...(secondary.tags || [])]);
+    merged.notes = [primary.notes, secondary.notes].filter(Boolean).join('\n\n');
+    merged.rating = Math.max(primary.rating || 0, secondary.rating || 0);
+    merged.scores = { ...secondary.scores, ...primary.scores };
+    merged.notDuplicateOf = uniqueStrings([...(primary.notDuplicateOf || []), ...(secondary.notDuplicateOf || [])]);
+    if (getStage(primary) === 'new') merged.stage = getStage(secondary);
+    // A value a reviewer verified wins over an unverified one, whichever record it came from.
+    const primaryVerified = new Set(primary.verifiedFields || []);
+    for (const key of secondary.verifiedFields || []) {
+        if (!primaryVerified.has(key) && secondary[key] !== undefined) merged[key] = secondary[key];
+    }
+    merged.contactLog = [...(primary.contactLog || []), ...(secondary.contactLog || [])].sort((a, b) => a.at - b.at);
+    merged.verifiedFields = uniqueStrings([...(primary.verifiedFields || []), ...(secondary.verifiedFields || [])]);
+    merged.history = [...(primary.history || []), ...(secondary.history || [])].sort((a, b) => a.at - b.at).slice(-MAX_HISTORY_ENTRIES);
+    return merged;
+};
+
+const DUPLICATE_COMPARE_FIELDS = ['name', 'age', 'governorate', 'appliedFor', 'email', 'phone', 'fileName'];
+
+const DuplicateReview = ({ pairs, T, onMerge, onKeepBoth, disabled }) => html`
+    <div class="duplicate-review">
+        ${pairs.map(({ id, a, b, reasons }) => html`
+            <div class="duplicate-pair" key=${id}>
+                <p class="duplicate-reasons">
+                    <strong>${T.duplicateReasonsLabel}:</strong> ${reasons.map(r => T.duplicateReasons[r]).join(', ')}
+                </p>
+                <table class="duplicate-table">
+                    <tbody>
+                        ${DUPLICATE_COMPARE_FIELDS.map(field => {
+                            const left = a[field] ?? '';
+                            const right = b[field] ?? '';
+                            const differs = String(left).trim().toLowerCase() !== String(right).trim().toLowerCase();
+                            return html`
+                                <tr class=${differs ? 'differs' : ''}>
+                                    <th>${T[field] || T[`${field}Label`]}</th>
+                                    <td>${left || T.unspecified}</td>
+                                    <td>${right || T.unspecified}</td>
+                                </tr>`;
+                        })}
+                        <tr>
+                            <th>${T.skills}</th>
+                            <td>${(a.skills || []).join(', ')}</td>
+                            <td>${(b.skills || []).join(', ')}</td>
+                        </tr>
+                    </tbody>
+                </table>
+                <div class="duplicate-actions">
+                    <button class="secondary-btn" onClick=${() => onMerge(a.id, b.id)} disabled=${disabled}>${T.mergeIntoLeft}</button>
+                    <button class="secondary-btn" onClick=${() => onMerge(b.id, a.id)} disabled=${disabled}>${T.mergeIntoRight}</button>
+                    <button class="secondary-btn" onClick=${() => onKeepBoth(a.id, b.id)} disabled=${disabled}>${T.keepBoth}</button>
+                </div>
+            </div>`)}
+    </div>
+`;
+
+/**
+ * Reviewers can correct any extracted field. A corrected field is marked as verified, so a
+ * later re-analysis leaves it alone, and every change goes into a short per-candidate
+ * history that keeps the original value next to the correction.
+ */
+const EDITABLE_FIELDS = [
+    { key: 'name', type: 'text' },
+    { key: 'age', type: 'number' },
+    { key: 'governorate', type: 'text' },
+    { key: 'appliedFor', type: 'text' },
+    { key: 'email', type: 'email' },
+    { key: 'phone', type: 'tel' },
+    { key: 'totalYearsExperience', type: 'number' },
+    { key: 'militaryStatus', type: 'select' },
+    { key: 'languages', type: 'list' },
+    { key: 'certifications', type: 'list' },
+    { key: 'skills', type: 'list' },
+    { key: 'experienceSummary', type: 'textarea' },
+];
+
+// Re-analysis may also refresh the structured fields that have no inline editor.
+const REANALYZED_FIELDS = [...EDITABLE_FIELDS.map(field => field.key), 'education', 'workHistory'];
+
+const MAX_HISTORY_ENTRIES = 50;
+
+const fieldText = (value) => Array.isArray(value) ? value.join(', ') : String(value ?? '');
+
+const fromEditorValue = (field, text) => {
+    if (field.type === 'list') return splitList(text);
+    if (field.type === 'number') return parseOptionalNumber(text);
+    return text.trim();
+};
+
+// Applies the changed values and appends one history entry per field that actually changed.
+const applyFieldChanges = (resume, changes, source) => {
+    const at = Date.now();
+    const entries = Object.entries(changes)
+        .filter(([field, value]) => fieldText(resume[field]) !== fieldText(value))
+        .map(([field, value]) => ({ field, from: resume[field] ?? null, to: value ?? null, at, source }));
+    if (entries.length === 0) return resume;
+    const updated = { ...resume, history: [...(resume.history || []), ...entries].slice(-MAX_HISTORY_ENTRIES) };
+    for (const entry of entries) updated[entry.field] = entry.to;
+    return updated;
+};
+
+// Fresh extraction results replace everything except verified fields, the file, scores and pipeline fields.
+const applyReanalysis = (existing, fresh) => {
+    const verified = new Set(existing.verifiedFields || []);
+    const changes = Object.fromEntries(REANALYZED_FIELDS
+        .filter(key => !verified.has(key) && fresh[key] !== undefined)
+        .map(key => [key, fresh[key]]));
+    return applyFieldChanges(existing, changes, 'reanalysis');
+};
+
+const VerifiedMark = ({ resume, field, T }) => resume.verifiedFields?.includes(field)
+    ? html`<span class="verified-badge" title=${T.verifiedHint} aria-label=${T.verifiedHint}>✓</span>`
+    : null;
+
+const CandidateEditor = ({ resume, T, onSave, onCancel }) => {
+    const [initialValues] = useState(() => Object.fromEntries(EDITABLE_FIELDS.map(field => [
+        field.key,
+        field.type === 'select' ? resume[field.key] || 'unknown' : fieldText(resume[field.key]),
+    ])));
+    const [values, setValues] = useState(initialValues);
+    const [verified, setVerified] = useState(() => new Set(resume.verifiedFields || []));
+
+    const setValue = (key, value) => setValues(prev => ({ ...prev, [key]: value }));
+
+    // Editing a value doesn't verify it; the reviewer ticks "Verified" once they've checked the field.
+    const toggleVerified = (key) => setVerified(prev => {
+        const next = new Set(prev);
+        if (next.has(key)) next.delete(key);
+        else next.add(key);
+        return next;
+    });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const changes = Object.fromEntries(EDITABLE_FIELDS
+            .filter(field => values[field.key] !== initialValues[field.key])
+            .map(field => [field.key, fromEditorValue(field, values[field.key])]));
+        onSave(changes, Array.from(verified));
+    };
+
+    const renderInput = (field) => {
+        const common = { id: `edit-${resume.id}-${field.key}`, value: values[field.key], onInput: e => setValue(field.key, e.currentTarget.value) };
+        if (field.type === 'textarea') return html`<textarea ...${common} rows="4"></textarea>`;
+        if (field.type === 'select') return html`
+            <select ...${common}>
+                ${MILITARY_STATUSES.map(status => html`<option value=${status}>${T.militaryStatuses[status]}</option>`)}
+            </select>`;
+        return html`<input type=${field.type === 'list' ? 'text' : field.type} step=${field.type === 'number' ? 'any' : undefined} ...${common} />`;
+    };
+
+    return html`
+        <form class="candidate-editor" onSubmit=${handleSubmit}>
+            ${EDITABLE_FIELDS.map(field => html`
+                <div class=${`editor-field ${field.type === 'textarea' || field.type === 'list' ? 'wide' : ''}`} key=${field.key}>
+                    <div class="editor-label">
+                        <label for=${`edit-${resume.id}-${field.key}`}>${T[field.key] || T[`${field.key}Label`]}</label>
+                        <label class="verified-toggle">
+                            <input type="checkbox" checked=${verified.has(field.key)} onChange=${() => toggleVerified(field.key)} />
+                            ${T.verified}
+                        </label>
+                    </div>
+                    ${renderInput(field)}
+                </div>`)}
+            <div class="editor-actions">
+                <button type="button" class="secondary-btn" onClick=${onCancel}>${T.cancel}</button>
+                <button type="submit" class="secondary-btn active">${T.saveChanges}</button>
+            </div>
+        </form>
+    `;
+};
+
+const ChangeHistory = ({ history, T, lang }) => html`
+    <details class="change-history">
+        <summary>${T.changeHistory(history.length)}</summary>
+        <ul>
+            ${history.slice().reverse().map(entry => html`
+                <li>
+                    <strong>${T[entry.field] || T[`${entry.field}Label`] || entry.field}:</strong>
+                    ${' '}<span class="history-from">${formatCandidateField({ [entry.field]: entry.from }, entry.field, T) || T.unspecified}</span>
+                    ${' → '}<span class="history-to">${formatCandidateField({ [entry.field]: entry.to }, entry.field, T) || T.unspecified}</span>
+                    <span class="muted"> · ${T.historySources[entry.source] || entry.source}, ${new Date(entry.at).toLocaleString(lang)}</span>
+                </li>`)}
+        </ul>
+    </details>
+`;
+
+/**
+ * Side-by-side comparison of a few shortlisted candidates. Skills are aligned into rows so
+ * the ones every candidate shares and the gaps stand out at a glance.
+ */
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 4;
+
+const COMPARE_FIELDS = ['age', 'governorate', 'appliedFor', 'email', 'phone', 'totalYearsExperience', 'education', 'languages', 'militaryStatus', 'experienceSummary'];
+
+// Display text for a candidate field, including the structured background fields.
+const formatCandidateField = (resume, field, T) => {
+    const value = resume[field];
+    if (field === 'education') return (value || []).map(formatEducation).join('; ');
+    if (field === 'workHistory') return (value || []).map(formatWorkEntry).join('; ');
+    if (field === 'militaryStatus') return value && value !== 'unknown' ? T.militaryStatuses[value] || value : '';
+    if (Array.isArray(value)) return value.join(', ');
+    return value ?? '';
+};
+
+// Skills listed by all candidates come first, then by how many candidates have them.
+const alignSkills = (candidates) => {
+    const rows = new Map();
+    candidates.forEach((candidate, index) => {
+        for (const skill of candidate.skills || []) {
+            const key = skill.trim().toLowerCase();
+            if (!key) continue;
+            if (!rows.has(key)) rows.set(key, { skill: skill.trim(), owners: new Set() });
+            rows.get(key).owners.add(index);
+        }
+    });
+    return Array.from(rows.values()).sort((a, b) => b.owners.size - a.owners.size || a.skill.localeCompare(b.skill));
+};
+
+// How a candidate is named in the comparison prompt; the model's assessments are paired back by this label,
+// not by position, so a reordered or incomplete answer never lands under the wrong person.
+const comparisonLabel = (candidate) => candidate.name || 'Unnamed';
+
+const findComparisonEntry = (summary, candidate) => {
+    const label = normalizeSearchText(comparisonLabel(candidate));
+    return (summary.candidates || []).find(entry => normalizeSearchText(entry.name) === label);
+};
+
+const ComparisonView = ({ candidates, T, summary, onSummarize, canSummarize, onRemove, onClose, disabled }) => {
+    const skillRows = alignSkills(candidates);
+    const scores = candidates.map(c => c.matchScore).filter(score => score != null);
+    const topScore = scores.length ? Math.max(...scores) : null;
+    return html`
+        <div class="comparison-view">
+            <div class="comparison-header">
+                <h3>${T.comparisonHeader(candidates.length)}</h3>
+                <div class="duplicate-actions">
+                    <button class="secondary-btn" onClick=${onSummarize} disabled=${disabled || !canSummarize}>${T.aiCompare}</button>
+                    <button class="secondary-btn" onClick=${onClose}>${T.closeComparison}</button>
+                </div>
+            </div>
+            ${!canSummarize && html`<small class="muted">${T.aiCompareNeedsJob}</small>`}
+            ${summary && html`
+                <div class="match-details comparison-summary">
+                    <p><strong>${T.bestFit}:</strong> ${summary.bestCandidate}</p>
+                    <p class="match-rationale">${summary.summary}</p>
+                </div>`}
+            <div class="comparison-scroll">
+                <table class="duplicate-table comparison-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${candidates.map(c => html`
+                                <th key=${c.id}>
+                                    <span>${c.name || T.unspecified}</span>
+                                    <button class="delete-card-btn" title=${T.removeFromComparison} aria-label=${T.removeFromComparison} onClick=${() => onRemove(c.id)}>×</button>
+                                </th>`)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <th>${T.matchScoreLabel}</th>
+                            ${candidates.map(c => html`
+                                <td class=${c.matchScore != null && c.matchScore === topScore ? 'best' : ''}>${c.matchScore != null ? `${c.matchScore}%` : T.unspecified}</td>`)}
+                        </tr>
+                        ${COMPARE_FIELDS.map(field => html`
+                            <tr>
+                                <th>${T[field] || T[`${field}Label`]}</th>
+                                ${candidates.map(c => html`<td>${formatCandidateField(c, field, T) || T.unspecified}</td>`)}
+                            </tr>`)}
+                        ${summary?.candidates?.length > 0 && html`
+                            <tr>
+                                <th>${T.strengths}</th>
+                                ${candidates.map(c => html`<td>${(findComparisonEntry(summary, c)?.strengths || []).join('; ')}</td>`)}
+                            </tr>
+                            <tr>
+                                <th>${T.concerns}</th>
+                                ${candidates.map(c => html`<td>${(findComparisonEntry(summary, c)?.concerns || []).join('; ')}</td>`)}
+                            </tr>`}
+                        <tr class="comparison-section">
+                            <th colspan=${candidates.length + 1}>${T.skills}</th>
+                        </tr>
+                        ${skillRows.map(({ skill, owners }) => html`
+                            <tr class=${owners.size === candidates.length ? 'shared' : ''} key=${skill}>
+                                <th>${skill}</th>
+                                ${candidates.map((c, index) => owners.has(index)
+                                    ? html`<td class="has-skill">✓</td>`
+                                    : html`<td class="gap">—</td>`)}
+                            </tr>`)}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+};
+
+// Highlighting for the document preview below.
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Phone numbers are matched digit by digit so "010 1234 5678" finds "01012345678".
+const phonePattern = (phone) => {
+    const digits = toWesternDigits(String(phone || '')).replace(/\D/g, '');
+    return digits.length >= 6 ? digits.split('').join('[\\s\\-().]*') : '';
+};
+
+const highlightTermKey = (term) => `${term.kind}:${term.value}`;
+
+const getHighlightTerms = (resume, matchedSkills) => [
+    { kind: 'name', value: resume.name, pattern: resume.name ? escapeRegExp(resume.name.trim()).replace(/\s+/g, '\\s+') : '' },
+    { kind: 'email', value: resume.email, pattern: resume.email ? escapeRegExp(resume.email.trim()) : '' },
+    { kind: 'phone', value: resume.phone, pattern: phonePattern(resume.phone) },
+    ...matchedSkills.map(skill => ({ kind: 'skill', value: skill, pattern: escapeRegExp(skill.trim()) })),
+].filter(term => term.value && term.pattern);
+
+// Splits the text into plain and highlighted segments; longer terms win where terms overlap.
+const highlightSegments = (text, terms) => {
+    if (terms.length === 0) return { segments: [{ text }], found: new Set() };
+    const ordered = [...terms].sort((a, b) => b.pattern.length - a.pattern.length);
+    const regex = new RegExp(ordered.map(term => `(${term.pattern})`).join('|'), 'giu');
+    const segments = [];
+    const found = new Set();
+    let last = 0;
+    for (const match of text.matchAll(regex)) {
+        if (match[0].length === 0) continue;
+        const term = ordered[match.slice(1).findIndex(group => group !== undefined)];
+        if (match.index > last) segments.push({ text: text.slice(last, match.index) });
+        segments.push({ text: match[0], kind: term.kind });
+        found.add(highlightTermKey(term));
+        last = match.index + match[0].length;
+    }
+    if (last < text.length) segments.push({ text: text.slice(last) });
+    return { segments, found };
+};
+
+/**
+ * In-app document preview. PDFs render in the browser's viewer; every other format shows
+ * the locally extracted text with the fields the model pulled out highlighted, so a reviewer
+ * can check them against the source.
+ */
+const DocumentPreview = ({ resume, matchedSkills, T, onClose }) => {
+    const [state, setState] = useState({ loading: true, text: '', pdfUrl: '', error: '' });
+
+    // Keyed on the file too: a re-analysed record or a replaced file keeps its id.
+    useEffect(() => {
+        let cancelled = false;
+        let pdfUrl = '';
+        const file = resume.file;
+        if (!file) {
+            setState({ loading: false, text: '', pdfUrl: '', error: T.previewUnavailable });
+            return;
+        }
+        const extension = getExtension(resume.fileName || file.name);
+        if (extension === 'pdf') {
+            // Older records may hold untyped blobs, which browsers download instead of displaying.
+            pdfUrl = URL.createObjectURL(file.type === 'application/pdf' ? file : new Blob([file], { type: 'application/pdf' }));
+            setState({ loading: false, text: '', pdfUrl, error: '' });
+        } else {
+            setState({ loading: true, text: '', pdfUrl: '', error: '' });
+            const named = file.name ? file : new File([file], resume.fileName || 'resume', { type: inferMimeType(resume.fileName) });
+            extractDocumentText(named)
+                .then(text => !cancelled && setState({ loading: false, text: text || '', pdfUrl: '', error: '' }))
+                .catch(e => !cancelled && setState({ loading: false, text: '', pdfUrl: '', error: e instanceof Error ? e.message : String(e) }));
+        }
+        return () => {
+            cancelled = true;
+            if (pdfUrl) URL.revokeObjectURL(pdfUrl);
+        };
+    }, [resume.id, resume.file, resume.fileName, T]);
+
+    const terms = getHighlightTerms(resume, matchedSkills);
+    const { segments, found } = useMemo(() => highlightSegments(state.text, terms), [state.text, terms.map(t => t.pattern).join('|')]);
+
+    return html`
+        <div class="modal-overlay" onClick=${e => e.target === e.currentTarget && onClose()}>
+            <div class="modal preview-pane" role="dialog" aria-modal="true" aria-labelledby="preview-title">
+                <div class="comparison-header">
+                    <h3 id="preview-title">${resume.name || T.unspecified} <small class="muted">${resume.fileName}</small></h3>
+                    <div class="duplicate-actions">
+                        ${resume.fileURL && html`<a href=${resume.fileURL} download=${resume.fileName} class="view-cv-btn">${T.downloadFile}</a>`}
+                        <button class="secondary-btn" onClick=${onClose}>${T.closeComparison}</button>
+                    </div>
+                </div>
+                <ul class="preview-legend">
+                    ${terms.map(term => html`
+                        <li key=${highlightTermKey(term)}>
+                            <mark class=${`hl-${term.kind}`}>${term.value}</mark>
+                            ${state.text && html`
+                                <span class=${found.has(highlightTermKey(term)) ? 'found' : 'not-found'}>
+                                    ${found.has(highlightTermKey(term)) ? T.foundInDocument : T.notFoundInDocument}
+                                </span>`}
+                        </li>`)}
+                </ul>
+                ${state.pdfUrl && html`<small class="muted">${T.pdfHighlightNote}</small>`}
+                <div class="preview-body">
+                    ${state.loading ? html`<div class="loader"></div>`
+                        : state.error ? html`<div class="error-message">${state.error}</div>`
+                        : state.pdfUrl ? html`<iframe class="preview-pdf" src=${state.pdfUrl} title=${resume.fileName}></iframe>`
+                        : html`<pre class="preview-text">${segments.map(segment => segment.kind
+                            ? html`<mark class=${`hl-${segment.kind}`}>${segment.text}</mark>`
+                            : segment.text)}</pre>`}
+                </div>
+            </div>
+        </div>
+    `;
+};
+
+const sortByMatchScore = (list) => [...list].sort((a, b) => (b.matchScore ?? -1) - (a.matchScore ?? -1));
+
+/**
+ * Search, filtering and sorting of the results panel. All text comparisons go through
+ * `normalizeSearchText` so Arabic spelling variants (أحمد/احمد, مي/مى, القاهرة/القاهره)
+ * and Arabic-Indic digits match what the user types.
+ */
+const normalizeSearchText = (text) => toWesternDigits(String(text ?? ''))
+    .toLowerCase()
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const includesNormalized = (value, query) => normalizeSearchText(value).includes(query);
+
+const DEFAULT_FILTERS = {
+    job: '',
+    governorate: '',
+    age: '',
+    matchesProfile: false,
+    stage: '',
+    text: '',
+    skills: '',
+    skillMode: 'any',
+    minScore: '',
+    missingEmail: false,
+    missingPhone: false,
+    minYears: '',
+    education: '',
+    language: '',
+    militaryStatus: '',
+    contacted: '',
+};
+
+// Accepts an exact age ("25") or a range ("25-30", "25-", "-30").
+const matchesAgeFilter = (age, ageFilter) => {
+    if (!ageFilter) return true;
+    if (age === null || age === undefined) return false;
+    if (ageFilter.includes('-')) {
+        const [minAge, maxAge] = ageFilter.split('-').map(part => parseInt(part, 10));
+        return (isNaN(minAge) || age >= minAge) && (isNaN(maxAge) || age <= maxAge);
+    }
+    const exactAge = parseInt(ageFilter, 10);
+    return isNaN(exactAge) || age === exactAge;
+};
+
+// Turns the filter form into a predicate so the per-candidate work stays small.
+// Typed skills go through the skill dictionary too, so "اكسل" finds candidates listed with "Excel".
+// In blind mode the age and governorate filters are ignored and text search skips the name.
+const createCandidateFilter = (filters, jobProfile, skillIndex, blind = false) => {
+    const job = normalizeSearchText(filters.job);
+    const governorate = blind ? '' : normalizeSearchText(filters.governorate);
+    const ageFilter = blind ? '' : toWesternDigits(String(filters.age || '')).trim();
+    const terms = normalizeSearchText(filters.text).split(' ').filter(Boolean);
+    const skills = splitList(filters.skills).map(skill => normalizeSearchText(skillIndex?.get(skillKey(skill)) || skill)).filter(Boolean);
+    const minScore = parseOptionalNumber(filters.minScore);
+    const minYears = parseOptionalNumber(filters.minYears);
+    const education = normalizeSearchText(filters.education);
+    const language = normalizeSearchText(filters.language);
+
+    return (r) => {
+        if (filters.matchesProfile && jobProfile && !meetsProfileCriteria(r, jobProfile)) return false;
+        if (filters.stage && getStage(r) !== filters.stage) return false;
+        if (job && !includesNormalized(r.appliedFor, job)) return false;
+        if (governorate && !includesNormalized(r.governorate, governorate)) return false;
+        if (!matchesAgeFilter(r.age, ageFilter)) return false;
+        if (minScore !== null && (r.matchScore ?? -1) < minScore) return false;
+        if (filters.missingEmail && r.email) return false;
+        if (filters.missingPhone && r.phone) return false;
+        if (minYears !== null && (r.totalYearsExperience ?? -1) < minYears) return false;
+        if (filters.militaryStatus && (r.militaryStatus || 'unknown') !== filters.militaryStatus) return false;
+        if (filters.contacted && (filters.contacted === 'yes') !== (r.contactLog?.length > 0)) return false;
+        if (education && !(r.education || []).some(entry => includesNormalized(formatEducation(entry), education))) return false;
+        if (language && !(r.languages || []).some(l => includesNormalized(l, language))) return false;
+        if (skills.length > 0) {
+            const candidateSkills = (r.skills || []).map(normalizeSearchText);
+            const hasSkill = (skill) => candidateSkills.some(s => s.includes(skill));
+            if (filters.skillMode === 'all' ? !skills.every(hasSkill) : !skills.some(hasSkill)) return false;
+        }
+        if (terms.length > 0) {
+            const haystack = normalizeSearchText([blind ? '' : r.name, r.experienceSummary, r.appliedFor, r.notes].filter(Boolean).join(' '));
+            if (!terms.every(term => haystack.includes(term))) return false;
+        }
+        return true;
+    };
+};
+
+const SORT_COLUMNS = [
+    { key: 'matchScore', label: 'matchScoreLabel' },
+    { key: 'name', label: 'nameLabel' },
+    { key: 'age', label: 'age' },
+    { key: 'governorate', label: 'governorate' },
+    { key: 'appliedFor', label: 'appliedFor' },
+    { key: 'totalYearsExperience', label: 'totalYearsExperience' },
+    { key: 'rating', label: 'rating' },
+    { key: 'email', label: 'email' },
+    { key: 'phone', label: 'phone' },
+    { key: 'fileName', label: 'fileNameLabel' },
+];
+
+const DEFAULT_SORT = { key: 'matchScore', dir: 'desc' };
+
+// Candidates without a value always sink to the bottom, whichever direction is chosen.
+const sortCandidates = (list, { key, dir }, lang) => {
+    const isBlank = (value) => value === null || value === undefined || value === '';
+    const direction = dir === 'asc' ? 1 : -1;
+    return [...list].sort((a, b) => {
+        const left = a[key];
+        const right = b[key];
+        if (isBlank(left) || isBlank(right)) return isBlank(left) - isBlank(right);
+        if (typeof left === 'number' && typeof right === 'number') return (left - right) * direction;
+        return String(left).localeCompare(String(right), lang, { numeric: true }) * direction;
+    });
+};
+
+/**
+ * Skill taxonomy. Models return skills as free text ("MS Excel", "Excel", "اكسل"), so each
+ * skill is mapped through an editable synonym dictionary to one canonical name. Stored
+ * candidates keep the skills as extracted; normalization is applied when they are shown,
+ * filtered or sent for matching, so dictionary edits take effect immediately.
+ */
+const DEFAULT_SKILL_SYNONYMS = [
+    ['Excel', ['MS Excel', 'Microsoft Excel', 'Advanced Excel', 'Excel Sheets', 'اكسل', 'إكسل', 'الاكسيل', 'اكسيل']],
+    ['Word', ['MS Word', 'Microsoft Word', 'وورد', 'الوورد']],
+    ['PowerPoint', ['MS PowerPoint', 'Microsoft PowerPoint', 'Power Point', 'باوربوينت', 'بوربوينت']],
+    ['Outlook', ['MS Outlook', 'Microsoft Outlook', 'اوتلوك']],
+    ['Microsoft Office', ['MS Office', 'Office', 'Office 365', 'ميكروسوفت أوفيس', 'مايكروسوفت اوفيس', 'الأوفيس', 'اوفيس']],
+    ['ICDL', ['ICDL Certificate', 'International Computer Driving License', 'الرخصة الدولية لقيادة الحاسب']],
+    ['Accounting', ['Accountancy', 'Financial Accounting', 'محاسبة', 'المحاسبة', 'محاسبه']],
+    ['Sales', ['Selling', 'مبيعات', 'المبيعات', 'بيع']],
+    ['Marketing', ['تسويق', 'التسويق']],
+    ['Digital Marketing', ['Online Marketing', 'Social Media Marketing', 'التسويق الإلكتروني', 'التسويق الرقمي']],
+    ['Customer Service', ['Customer Support', 'Customer Care', 'خدمة العملاء', 'خدمه العملاء']],
+    ['Communication', ['Communication Skills', 'مهارات التواصل', 'مهارات الاتصال', 'التواصل']],
+    ['Teamwork', ['Team Work', 'Team Player', 'العمل الجماعي', 'العمل ضمن فريق', 'العمل بروح الفريق']],
+    ['Leadership', ['Team Leadership', 'القيادة']],
+    ['Time Management', ['إدارة الوقت', 'ادارة الوقت']],
+    ['Problem Solving', ['حل المشكلات', 'حل المشاكل']],
+    ['Negotiation', ['Negotiation Skills', 'التفاوض', 'مهارات التفاوض']],
+    ['Project Management', ['إدارة المشروعات', 'إدارة المشاريع', 'ادارة المشروعات']],
+    ['Data Entry', ['ادخال بيانات', 'إدخال البيانات', 'ادخال البيانات']],
+    ['English', ['English Language', 'اللغة الإنجليزية', 'اللغه الانجليزيه', 'انجليزي', 'الانجليزية']],
+    ['Photoshop', ['Adobe Photoshop', 'فوتوشوب']],
+    ['AutoCAD', ['Auto CAD', 'اوتوكاد', 'أوتوكاد']],
+    ['JavaScript', ['JS', 'Java Script']],
+    ['SQL', ['MySQL', 'MS SQL', 'SQL Server', 'T-SQL']],
+];
+
+const createDefaultSkillDictionary = () => DEFAULT_SKILL_SYNONYMS.map(([canonical, variants], index) => ({
+    id: `skill-${index}`,
+    canonical,
+    variants,
+}));
+
+// Punctuation and the Arabic definite article are ignored, so "الاكسل" and "Excel." both key to the same entry.
+const skillKey = (skill) => normalizeSearchText(skill)
+    .replace(/[^\p{L}\p{N}+#]+/gu, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map(word => word.length > 4 && word.startsWith('ال') ? word.slice(2) : word)
+    .join(' ');
+
+const buildSkillIndex = (dictionary) => {
+    const index = new Map();
+    for (const { canonical, variants } of dictionary) {
+        if (!canonical) continue;
+        for (const name of [canonical, ...variants]) {
+            const key = skillKey(name);
+            if (key && !index.has(key)) index.set(key, canonical);
+        }
+    }
+    return index;
+};
+
+const normalizeSkills = (skills, skillIndex) =>
+    uniqueStrings((skills || []).map(skill => skillIndex.get(skillKey(skill)) || skill.trim()).filter(Boolean));
+
+const SkillDictionaryEditor = ({ dictionary, unmappedSkills, T, onSave, onDelete, onReset, disabled }) => html`
+    <div class="skill-dictionary">
+        <div class="comparison-header">
+            <h4>${T.skillDictionary(dictionary.length)}</h4>
+            <div class="duplicate-actions">
+                <button class="secondary-btn" onClick=${() => onSave({ id: `skill-${Date.now()}`, canonical: '', variants: [] })} disabled=${disabled}>${T.addSkillEntry}</button>
+                <button class="secondary-btn danger" onClick=${onReset} disabled=${disabled}>${T.resetSkillDictionary}</button>
+            </div>
+        </div>
+        <p class="muted">${T.skillDictionaryHint}</p>
+        ${unmappedSkills.length > 0 && html`
+            <div>
+                <strong>${T.unmappedSkills}:</strong>
+                <ul class="skills-list">
+                    ${unmappedSkills.map(({ label, count }) => html`
+                        <li class="skill-tag">
+                            <button class="link-btn" title=${T.addAsSkillEntry} onClick=${() => onSave({ id: `skill-${Date.now()}`, canonical: label, variants: [] })} disabled=${disabled}>
+                                ${label} (${count})
+                            </button>
+                        </li>`)}
+                </ul>
+            </div>`}
+        <div class="skill-entries">
+            ${dictionary.map(entry => html`
+                <div class="skill-entry" key=${entry.id}>
+                    <input
+                        type="text"
+                        placeholder=${T.canonicalSkill}
+                        value=${entry.canonical}
+                        onChange=${e => onSave({ ...entry, canonical: e.currentTarget.value.trim() })}
+                        disabled=${disabled}
+                    />
+                    <input
+                        type="text"
+                        placeholder=${T.skillVariants}
+                        value=${entry.variants.join(', ')}
+                        onChange=${e => onSave({ ...entry, variants: splitList(e.currentTarget.value) })}
+                        disabled=${disabled}
+                    />
+                    <button class="delete-card-btn" title=${T.delete} aria-label=${T.delete} onClick=${() => onDelete(entry.id)} disabled=${disabled}>×</button>
+                </div>`)}
+        </div>
+    </div>
+`;
+
+/**
+ * Pool analytics: simple counts rendered as CSS bar charts, so no chart library is needed.
+ */
+const TOP_SKILLS_LIMIT = 15;
+const AGE_BUCKETS = [[0, 19, '<20'], [20, 24, '20–24'], [25, 29, '25–29'], [30, 34, '30–34'], [35, 39, '35–39'], [40, 44, '40–44'], [45, Infinity, '45+']];
+const SCORE_BUCKETS = [[0, 19, '0–19'], [20, 39, '20–39'], [40, 59, '40–59'], [60, 79, '60–79'], [80, 100, '80–100']];
+
+// Counts values by normalized key, labelling each group with the first spelling seen.
+const countBy = (values) => {
+    const groups = new Map();
+    for (const value of values) {
+        const key = normalizeSearchText(value);
+        if (!key) continue;
+        const group = groups.get(key) || { label: String(value).trim(), count: 0 };
+        group.count++;
+        groups.set(key, group);
+    }
+    return Array.from(groups.values()).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+};
+
+const countBuckets = (values, buckets, otherLabel) => {
+    const rows = buckets.map(([, , label]) => ({ label, count: 0 }));
+    const other = { label: otherLabel, count: 0 };
+    for (const value of values) {
+        const index = value == null ? -1 : buckets.findIndex(([min, max]) => value >= min && value <= max);
+        if (index >= 0) rows[index].count++;
+        else other.count++;
+    }
+    return other.count > 0 ? [...rows, other] : rows;
+};
+
+const BarChart = ({ title, rows, T }) => {
+    const max = Math.max(1, ...rows.map(row => row.count));
+    return html`
+        <div class="analytics-card">
+            <h4>${title}</h4>
+            ${rows.length === 0 ? html`<p class="muted">${T.none}</p>` : html`
+                <ul class="bar-chart">
+                    ${rows.map(row => html`
+                        <li key=${row.label}>
+                            <span class="bar-label" title=${row.label}>${row.label}</span>
+                            <span class="bar-track"><span class="bar-fill" style=${`width: ${(row.count / max) * 100}%`}></span></span>
+                            <span class="bar-count">${row.count}</span>
+                        </li>`)}
+                </ul>`}
+        </div>
+    `;
+};
+
+const AnalyticsPanel = ({ resumes, T }) => html`
+    <div class="analytics-grid">
+        <${BarChart} title=${T.topSkills} rows=${countBy(resumes.flatMap(r => r.skills || [])).slice(0, TOP_SKILLS_LIMIT)} T=${T} />
+        <${BarChart} title=${T.governorateDistribution} rows=${countBy(resumes.map(r => r.governorate || T.unspecified))} T=${T} />
+        <${BarChart} title=${T.ageDistribution} rows=${countBuckets(resumes.map(r => r.age), AGE_BUCKETS, T.unspecified)} T=${T} />
+        <${BarChart} title=${T.scoreDistribution} rows=${countBuckets(resumes.map(r => r.matchScore), SCORE_BUCKETS, T.notScored)} T=${T} />
+    </div>
+`;
+
+/**
+ * Blind screening. Reviewers see "Candidate #12" instead of a name, and the fields that can
+ * bias a score (age, governorate) are hidden along with contact details and the file name.
+ * Each candidate gets a number once, when it joins the pool, so labels survive reloads and
+ * re-sorting. Redaction only changes what is displayed or exported, never the stored record.
+ */
+const BLIND_FIELDS = ['name', 'age', 'governorate', 'email', 'phone', 'fileName'];
+const BLIND_MODE_KEY = 'cv-analyzer-blind-mode';
+
+const loadBlindMode = () => {
+    try {
+        return localStorage.getItem(BLIND_MODE_KEY) === 'on';
+    } catch {
+        return false;
+    }
+};
+
+const saveBlindMode = (enabled) => {
+    try {
+        localStorage.setItem(BLIND_MODE_KEY, enabled ? 'on' : 'off');
+    } catch (e) {
+        console.warn('Could not save blind mode:', e);
+    }
+};
+
+// Numbers candidates joining the pool, continuing after the highest number already in it.
+const assignCandidateNumbers = (pool, added) => {
+    let next = pool.reduce((max, r) => Math.max(max, r.candidateNumber || 0), 0);
+    return added.map(r => ({ ...r, candidateNumber: ++next }));
+};
+
+// Masks mentions of the candidate's email, phone and name in free text. Earlier patterns win, so an
+// email is masked whole and "Ahmed Hassan" becomes one label rather than two.
+const maskIdentity = (text, resume, label) => {
+    const name = String(resume.name || '').trim();
+    const patterns = [
+        resume.email && escapeRegExp(resume.email.trim()),
+        phonePattern(resume.phone),
+        name && escapeRegExp(name).replace(/\s+/g, '\\s+'),
+        ...name.split(/\s+/).filter(part => part.length >= 3).map(escapeRegExp),
+    ].filter(Boolean);
+    return text && patterns.length ? text.replace(new RegExp(patterns.join('|'), 'giu'), label) : text;
+};
+
+// Change history entries for these fields are dropped too, since they hold the old values.
+const redactCandidate = (resume, T) => {
+    const label = T.candidateNumber(resume.candidateNumber ?? '?');
+    return {
+        ...resume,
+        ...Object.fromEntries(BLIND_FIELDS.map(field => [field, null])),
+        name: label,
+        experienceSummary: maskIdentity(resume.experienceSummary, resume, label),
+        history: (resume.history || [])
+            .filter(entry => !BLIND_FIELDS.includes(entry.field))
+            .map(entry => entry.field === 'experienceSummary'
+                ? { ...entry, from: maskIdentity(entry.from, resume, label), to: maskIdentity(entry.to, resume, label) }
+                : entry),
+        redacted: true,
+    };
+};
+
+// Exports also leave out the reviewers' notes and tags and the work history, whose free text
+// (employers, references) identifies a candidate too easily to mask reliably.
+const redactCandidateForExport = (resume, T) => ({ ...redactCandidate(resume, T), notes: '', tags: [], workHistory: [] });
+
+// A redacted JSON export also drops what links a record back to its file, its duplicates or
+// the outreach sent to it, and swaps the file-name-based id for an opaque one.
+const REDACTED_RECORD_FIELDS = ['fileHash', 'fileType', 'notDuplicateOf', 'contactLog', 'verifiedFields'];
+
+const redactCandidateRecord = (record) => ({
+    ...Object.fromEntries(Object.entries(record).filter(([field]) => !REDACTED_RECORD_FIELDS.includes(field))),
+    id: `candidate-${record.candidateNumber ?? '?'}`,
+});
+
+/**
+ * Export helpers. Spreadsheets are built from the same row matrix so CSV and XLSX
+ * always contain identical columns. XLSX is assembled by hand with the global JSZip
+ * to avoid pulling in a spreadsheet library for a single sheet.
+ */
+const EXPORT_COLUMNS = [
+    { key: 'name', label: 'nameLabel' },
+    { key: 'age', label: 'age' },
+    { key: 'governorate', label: 'governorate' },
+    { key: 'appliedFor', label: 'appliedFor' },
+    { key: 'email', label: 'email' },
+    { key: 'phone', label: 'phone' },
+    { key: 'skills', label: 'skills' },
+    { key: 'experienceSummary', label: 'experienceSummaryLabel' },
+    { key: 'matchScore', label: 'matchScoreLabel' },
+    { key: 'fileName', label: 'fileNameLabel' },
+];
+
+const EXPORT_FORMAT_VERSION = 1;
+
+const buildExportRows = (list, T) => {
+    const header = EXPORT_COLUMNS.map(column => T[column.label]);
+    const rows = list.map(resume => EXPORT_COLUMNS.map(({ key }) => {
+        const value = resume[key];
+        if (Array.isArray(value)) return value.join(', ');
+        return value ?? '';
+    }));
+    return [header, ...rows];
+};
+
+const toCsv = (rows) => {
+    const escapeCell = (value) => {
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    // The BOM makes Excel detect UTF-8, otherwise Arabic text shows up garbled.
+    return '\uFEFF' + rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0 and would corrupt the workbook.
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const columnLetter = (index) => {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+};
+
+const toXlsx = async (rows, sheetName) => {
+    const sheetRows = rows.map((row, rowIndex) => {
+        const cells = row.map((value, colIndex) => {
+            const ref = `${columnLetter(colIndex)}${rowIndex + 1}`;
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>');
+    zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>');
+    zip.file('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>');
+    zip.file('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>');
+    zip.file('xl/worksheets/sheet1.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<sheetData>${sheetRows}</sheetData>`
+        + '</worksheet>');
+
+    return zip.generateAsync({
+        type: 'blob',
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    });
+};
+
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the URL.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const exportTimestamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+
+/**
+ * Candidate outreach. Message templates use {placeholders} that are filled in per candidate.
+ * WhatsApp links carry the personalized text. An email BCC batch shares a single body, so
+ * there the personal placeholders fall back to a generic greeting. Every contact is logged
+ * on the candidate as `contactLog: [{ channel, at }]`.
+ */
+const MESSAGE_PLACEHOLDERS = ['name', 'firstName', 'appliedFor', 'jobTitle'];
+// Long mailto URLs are silently truncated by some mail clients, so recipients are split up.
+const MAILTO_BATCH_SIZE = 40;
+
+const DEFAULT_MESSAGE_TEMPLATES = [
+    {
+        id: 'builtin-interview-en',
+        name: 'Interview invitation (English)',
+        lang: 'en',
+        builtIn: true,
+        subject: 'Interview invitation – {jobTitle}',
+        body: 'Dear {name},\n\nThank you for applying for {appliedFor}. We have reviewed your CV and would like to invite you to an interview for the {jobTitle} position.\n\nPlease reply with the times that suit you this week.\n\nBest regards',
+    },
+    {
+        id: 'builtin-regret-en',
+        name: 'Application update (English)',
+        lang: 'en',
+        builtIn: true,
+        subject: 'Your application for {jobTitle}',
+        body: 'Dear {name},\n\nThank you for your interest in the {jobTitle} position. After careful review we will not be moving forward with your application at this time. We will keep your CV on file for future openings.\n\nBest regards',
+    },
+    {
+        id: 'builtin-interview-ar',
+        name: 'دعوة لمقابلة (عربي)',
+        lang: 'ar',
+        builtIn: true,
+        subject: 'دعوة لمقابلة – {jobTitle}',
+        body: 'الأستاذ/ة {name}،\n\nشكراً لتقدمك لوظيفة {appliedFor}. بعد مراجعة سيرتك الذاتية يسعدنا دعوتك لمقابلة شخصية لوظيفة {jobTitle}.\n\nيرجى الرد بالمواعيد المناسبة لك خلال هذا الأسبوع.\n\nمع خالص التحية',
+    },
+    {
+        id: 'builtin-regret-ar',
+        name: 'تحديث بخصوص الطلب (عربي)',
+        lang: 'ar',
+        builtIn: true,
+        subject: 'طلبك لوظيفة {jobTitle}',
+        body: 'الأستاذ/ة {name}،\n\nنشكرك على اهتمامك بوظيفة {jobTitle}. بعد المراجعة الدقيقة لن نتمكن من استكمال طلبك في الوقت الحالي، وسنحتفظ بسيرتك الذاتية للفرص القادمة.\n\nمع خالص التحية',
+    },
+];
+
+const getPlaceholderValues = (resume, jobTitle, T) => {
+    const name = (resume.name || '').trim() || T.genericCandidateName;
+    return { name, firstName: name.split(/\s+/)[0], appliedFor: resume.appliedFor || jobTitle, jobTitle };
+};
+
+// Unknown placeholders are left as typed so a typo stays visible in the preview.
+const fillTemplate = (text, values) => text.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+
+const buildWhatsAppLink = (phone, text) => `https://wa.me/${formatPhoneForWhatsApp(phone)}?text=${encodeURIComponent(text)}`;
+
+const buildMailtoLink = (bcc, subject, body) =>
+    `mailto:?bcc=${bcc.map(encodeURIComponent).join(',')}&subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+
+const getLastContact = (resume) => resume.contactLog?.length ? resume.contactLog[resume.contactLog.length - 1] : null;
+
+const encodeBase64Utf8 = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+// A draft message (X-Unsent) that Outlook and Thunderbird open ready to send.
+const buildEml = ({ to, subject, body }) => [
+    `To: ${to}`,
+    `Subject: =?UTF-8?B?${encodeBase64Utf8(subject)}?=`,
+    'X-Unsent: 1',
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBase64Utf8(body.replace(/\r?\n/g, '\r\n')).replace(/.{1,76}/g, '$&\r\n'),
+].join('\r\n');
+
+const buildOutreachMessages = (candidates, { subject, body }, jobTitle, T) => candidates.map(resume => {
+    const values = getPlaceholderValues(resume, jobTitle, T);
+    const text = fillTemplate(body, values);
+    return {
+        resume,
+        subject: fillTemplate(subject, values),
+        body: text,
+        whatsappUrl: resume.phone ? buildWhatsAppLink(resume.phone, text) : '',
+    };
+});
+
+const buildMailMergeRows = (messages, T) => [
+    [T.nameLabel, T.email, T.phone, T.messageSubject, T.messageBody, T.whatsappLink],
+    ...messages.map(m => [m.resume.name || '', m.resume.email || '', m.resume.phone || '', m.subject, m.body, m.whatsappUrl]),
+];
+
+const OutreachPanel = ({ candidates, templates, defaultJobTitle, T, lang, onMarkContacted, onSaveTemplate, onDeleteTemplate, onExportEml, onExportCsv, onClose, disabled }) => {
+    const initialTemplate = templates.find(t => t.lang === lang) || templates[0];
+    const [templateId, setTemplateId] = useState(initialTemplate?.id || '');
+    const [subject, setSubject] = useState(initialTemplate?.subject || '');
+    const [body, setBody] = useState(initialTemplate?.body || '');
+    const [jobTitle, setJobTitle] = useState(defaultJobTitle);
+    const [excludedIds, setExcludedIds] = useState(() => new Set());
+
+    const selected = candidates.filter(c => !excludedIds.has(c.id));
+    const messages = buildOutreachMessages(selected, { subject, body }, jobTitle, T);
+    const emailBatches = [];
+    const withEmail = selected.filter(c => c.email);
+    for (let i = 0; i < withEmail.length; i += MAILTO_BATCH_SIZE) emailBatches.push(withEmail.slice(i, i + MAILTO_BATCH_SIZE));
+    const sharedValues = getPlaceholderValues({}, jobTitle, T);
+    const currentTemplate = templates.find(t => t.id === templateId);
+
+    const selectTemplate = (id) => {
+        const template = templates.find(t => t.id === id);
+        setTemplateId(id);
+        if (!template) return;
+        setSubject(template.subject);
+        setBody(template.body);
+    };
+
+    const toggleCandidate = (id) => setExcludedIds(prev => {
+        const next = new Set(prev);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        return next;
+    });
+
+    return html`
+        <div class="outreach-panel">
+            <div class="comparison-header">
+                <h3>${T.outreachHeader(selected.length)}</h3>
+                <button class="secondary-btn" onClick=${onClose}>${T.closeComparison}</button>
+            </div>
+            <div class="filter-controls">
+                <select value=${templateId} onChange=${e => selectTemplate(e.currentTarget.value)} aria-label=${T.messageTemplate}>
+                    <option value="">${T.customMessage}</option>
+                    ${templates.map(t => html`<option value=${t.id}>${t.name}</option>`)}
+                </select>
+                <input type="text" placeholder=${T.profileTitle} title=${T.profileTitle} value=${jobTitle} onInput=${e => setJobTitle(e.currentTarget.value)} />
+                <button class="secondary-btn" onClick=${() => onSaveTemplate({ subject, body, lang })} disabled=${!body.trim()}>${T.saveMessageTemplate}</button>
+                ${currentTemplate && !currentTemplate.builtIn && html`
+                    <button class="secondary-btn danger" onClick=${() => onDeleteTemplate(currentTemplate.id)}>${T.delete}</button>`}
+            </div>
+            <input type="text" class="outreach-subject" placeholder=${T.messageSubject} value=${subject} onInput=${e => setSubject(e.currentTarget.value)} />
+            <textarea class="outreach-body" rows="7" value=${body} onInput=${e => setBody(e.currentTarget.value)} aria-label=${T.messageBody}></textarea>
+            <small class="muted">${T.placeholderHint} ${MESSAGE_PLACEHOLDERS.map(key => html`<code>{${key}}</code> `)}</small>
+            ${messages.length > 0 && html`
+                <div class="message-preview">
+                    <strong>${T.messagePreview(messages[0].resume.name || T.genericCandidateName)}</strong>
+                    <p><em>${messages[0].subject}</em></p>
+                    <p>${messages[0].body}</p>
+                </div>`}
+            <div class="duplicate-actions">
+                ${emailBatches.map((batch, index) => html`
+                    <a
+                        class="secondary-btn"
+                        href=${buildMailtoLink(batch.map(c => c.email), fillTemplate(subject, sharedValues), fillTemplate(body, sharedValues))}
+                        onClick=${() => onMarkContacted(batch.map(c => c.id), 'email')}
+                    >${T.emailBatch(index + 1, batch.length)}</a>`)}
+                <button class="secondary-btn" onClick=${() => onExportEml(messages)} disabled=${disabled || withEmail.length === 0}>${T.exportEml}</button>
+                <button class="secondary-btn" onClick=${() => onExportCsv(messages)} disabled=${disabled || messages.length === 0}>${T.exportMailMerge}</button>
+                <button class="secondary-btn" onClick=${() => onMarkContacted(selected.map(c => c.id), 'manual')} disabled=${disabled || selected.length === 0}>${T.markContacted}</button>
+            </div>
+            ${emailBatches.length > 0 && html`<small class="muted">${T.bccHint}</small>`}
+            <div class="comparison-scroll">
+                <table class="duplicate-table outreach-table">
+                    <thead>
+                        <tr>
+                            <th>
+                                <input
+                                    type="checkbox"
+                                    checked=${excludedIds.size === 0}
+                                    onChange=${e => setExcludedIds(e.currentTarget.checked ? new Set() : new Set(candidates.map(c => c.id)))}
+                                    aria-label=${T.selectAll}
+                                />
+                            </th>
+                            <th>${T.nameLabel}</th>
+                            <th>${T.phone}</th>
+                            <th>${T.email}</th>
+                            <th>${T.lastContacted}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${candidates.map(resume => {
+                            const message = messages.find(m => m.resume.id === resume.id);
+                            const lastContact = getLastContact(resume);
+                            return html`
+                                <tr key=${resume.id}>
+                                    <td><input type="checkbox" checked=${!excludedIds.has(resume.id)} onChange=${() => toggleCandidate(resume.id)} aria-label=${resume.name || T.unspecified} /></td>
+                                    <td>${resume.name || T.unspecified}</td>
+                                    <td>${message?.whatsappUrl ? html`
+                                        <a class="contact-link" href=${message.whatsappUrl} target="_blank" rel="noopener noreferrer" onClick=${() => onMarkContacted([resume.id], 'whatsapp')}>
+                                            ${T.sendWhatsApp}
+                                        </a>` : resume.phone || html`<span class="muted">${T.unspecified}</span>`}</td>
+                                    <td>${resume.email || html`<span class="muted">${T.unspecified}</span>`}</td>
+                                    <td>${lastContact
+                                        ? `${T.contactChannels[lastContact.channel] || lastContact.channel}, ${new Date(lastContact.at).toLocaleDateString(lang)}`
+                                        : html`<span class="muted">${T.notContacted}</span>`}</td>
+                                </tr>`;
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+};
+
+/**
+ * Shortlist report for hiring managers: a single self-contained HTML file (inline styles, no
+ * scripts) in the chosen language, laid out right-to-left for Arabic. It can be downloaded as is
+ * or printed to PDF through the browser's print dialog.
+ */
+const REPORT_SOURCES = ['top', 'selected', 'shortlisted'];
+const DEFAULT_REPORT_SIZE = 10;
+
+const REPORT_STYLES = `
+    body { font-family: 'Inter', 'Tajawal', 'Segoe UI', Tahoma, sans-serif; color: #333; margin: 2rem; line-height: 1.5; }
+    h1 { margin: 0 0 0.25rem; font-size: 1.6rem; }
+    h2 { margin: 2rem 0 0.75rem; font-size: 1.2rem; border-bottom: 2px solid #4a90e2; padding-bottom: 0.25rem; }
+    h3 { margin: 0; font-size: 1.05rem; }
+    .meta { color: #777; font-size: 0.9rem; }
+    .job-description { white-space: pre-wrap; background: #f5f7fa; padding: 0.75rem 1rem; border-radius: 6px; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { border: 1px solid #e0e0e0; padding: 0.4rem 0.6rem; text-align: start; vertical-align: top; }
+    th { background: #f5f7fa; }
+    .candidate { border: 1px solid #e0e0e0; border-radius: 6px; padding: 0.75rem 1rem; margin-bottom: 1rem; page-break-inside: avoid; }
+    .candidate-header { display: flex; justify-content: space-between; align-items: baseline; gap: 1rem; }
+    .score { font-weight: 700; color: #2f855a; white-space: nowrap; }
+    .tags span { display: inline-block; background: #eef4fc; border-radius: 10px; padding: 0.05rem 0.55rem; margin: 0.15rem; font-size: 0.8rem; }
+    .tags .matched { background: #e6f6ec; }
+    .tags .missing { background: #fdecea; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.2rem 0.75rem; margin: 0.5rem 0; font-size: 0.9rem; }
+    dt { font-weight: 600; }
+    dd { margin: 0; }
+    @media print { body { margin: 0; } h2 { page-break-after: avoid; } }
+`;
+
+const reportTags = (items, className = '') => items?.length
+    ? `<div class="tags">${items.map(item => `<span class="${className}">${escapeXml(item)}</span>`).join('')}</div>`
+    : '';
+
+const reportDefinitions = (rows) => {
+    const filled = rows.filter(([, value]) => value !== null && value !== undefined && value !== '');
+    return filled.length ? `<dl>${filled.map(([label, value]) => `<dt>${escapeXml(label)}</dt><dd>${escapeXml(value)}</dd>`).join('')}</dl>` : '';
+};
+
+const describeProfileForReport = (profile, T) => reportDefinitions([
+    [T.profileTitle, profile.title],
+    [T.requiredSkillsLabel, profile.requiredSkills.join(', ')],
+    [T.preferredSkillsLabel, profile.preferredSkills.join(', ')],
+    [T.profileMinYears, profile.minYearsExperience],
+    [T.profileLocation, profile.location],
+    [T.profileAgeRange, profile.ageRange.min != null || profile.ageRange.max != null ? `${profile.ageRange.min ?? '–'} - ${profile.ageRange.max ?? '–'}` : ''],
+]);
+
+// Candidates are expected in ranked order, already redacted when personal data must stay out.
+const buildShortlistReport = ({ candidates, job, T, lang }) => {
+    const dir = lang === 'ar' ? 'rtl' : 'ltr';
+    const title = job.name ? T.reportTitleFor(job.name) : T.reportTitle;
+    const rankingRows = candidates.map((c, index) => `
+        <tr>
+            <td>${index + 1}</td>
+            <td>${escapeXml(c.name || T.unspecified)}</td>
+            <td>${c.matchScore != null ? `${c.matchScore}%` : escapeXml(T.notScored)}</td>
+            <td>${escapeXml(c.matchDetails ? T.experienceFitLevels[c.matchDetails.experienceFit] || c.matchDetails.experienceFit : '')}</td>
+            <td>${c.totalYearsExperience ?? ''}</td>
+            <td>${escapeXml(T.stages[getStage(c)])}</td>
+            <td>${c.rating ? '★'.repeat(c.rating) : ''}</td>
+        </tr>`).join('');
+    const candidateSections = candidates.map((c, index) => `
+        <section class="candidate">
+            <div class="candidate-header">
+                <h3>${index + 1}. ${escapeXml(c.name || T.unspecified)}</h3>
+                ${c.matchScore != null ? `<span class="score">${c.matchScore}%</span>` : ''}
+            </div>
+            ${c.matchDetails?.rationale ? `<p><strong>${escapeXml(T.reportRationale)}:</strong> ${escapeXml(c.matchDetails.rationale)}</p>` : ''}
+            ${c.experienceSummary ? `<p>${escapeXml(c.experienceSummary)}</p>` : ''}
+            ${reportDefinitions([
+                [T.appliedFor, c.appliedFor],
+                [T.age, c.age],
+                [T.governorate, c.governorate],
+                [T.email, c.email],
+                [T.phone, c.phone],
+                [T.totalYearsExperience, c.totalYearsExperience],
+                [T.workHistory, formatCandidateField(c, 'workHistory', T)],
+                [T.education, formatCandidateField(c, 'education', T)],
+                [T.languages, formatCandidateField(c, 'languages', T)],
+                [T.certifications, formatCandidateField(c, 'certifications', T)],
+                [T.militaryStatus, formatCandidateField(c, 'militaryStatus', T)],
+                [T.notesLabel, c.notes],
+            ])}
+            <p><strong>${escapeXml(T.skills)}:</strong></p>
+            ${reportTags(c.skills) || `<p>${escapeXml(T.none)}</p>`}
+            ${c.matchDetails?.matchedSkills?.length ? `<p><strong>${escapeXml(T.matchedSkills)}:</strong></p>${reportTags(c.matchDetails.matchedSkills, 'matched')}` : ''}
+            ${c.matchDetails?.missingSkills?.length ? `<p><strong>${escapeXml(T.missingSkills)}:</strong></p>${reportTags(c.matchDetails.missingSkills, 'missing')}` : ''}
+            ${c.matchDetails?.redFlags?.length ? `<p><strong>${escapeXml(T.redFlags)}:</strong> ${escapeXml(c.matchDetails.redFlags.join('; '))}</p>` : ''}
+        </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${lang}" dir="${dir}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeXml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+    <h1>${escapeXml(title)}</h1>
+    <p class="meta">${escapeXml(T.reportGenerated(new Date().toLocaleString(lang), candidates.length))}</p>
+    <h2>${escapeXml(T.reportJob)}</h2>
+    ${job.profile ? describeProfileForReport(job.profile, T) : ''}
+    ${job.jobDescription ? `<div class="job-description">${escapeXml(job.jobDescription)}</div>` : ''}
+    <h2>${escapeXml(T.reportRanking)}</h2>
+    <table>
+        <thead>
+            <tr>
+                <th>#</th>
+                <th>${escapeXml(T.nameLabel)}</th>
+                <th>${escapeXml(T.matchScoreLabel)}</th>
+                <th>${escapeXml(T.experienceFit)}</th>
+                <th>${escapeXml(T.totalYearsExperience)}</th>
+                <th>${escapeXml(T.stage)}</th>
+                <th>${escapeXml(T.rating)}</th>
+            </tr>
+        </thead>
+        <tbody>${rankingRows}</tbody>
+    </table>
+    <h2>${escapeXml(T.reportCandidates)}</h2>
+    ${candidateSections}
+</body>
+</html>`;
+};
+
+// Prints through a hidden frame so no popup window is needed.
+const printHtml = (content) => {
+    const frame = document.createElement('iframe');
+    frame.style.position = 'fixed';
+    frame.style.width = '0';
+    frame.style.height = '0';
+    frame.style.border = '0';
+    frame.onload = () => {
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        // The print dialog blocks in most browsers; the delay covers those where it doesn't.
+        setTimeout(() => frame.remove(), 60000);
+    };
+    frame.srcdoc = content;
+    document.body.appendChild(frame);
+};
+
+const ReportPanel = ({ options, onChange, counts, T, onDownload, onPrint, onClose }) => html`
+    <div class="outreach-panel report-panel">
+        <div class="comparison-header">
+            <h3>${T.reportHeader}</h3>
+            <button class="secondary-btn" onClick=${onClose}>${T.closeComparison}</button>
+        </div>
+        <div class="filter-controls">
+            <select value=${options.source} onChange=${e => onChange({ ...options, source: e.currentTarget.value })} aria-label=${T.reportSource}>
+                ${REPORT_SOURCES.map(source => html`<option value=${source} disabled=${counts[source] === 0}>${T.reportSources[source](counts[source])}</option>`)}
+            </select>
+            ${options.source === 'top' && html`
+                <input type="number" min="1" title=${T.reportTopN} placeholder=${T.reportTopN} value=${options.size} onInput=${e => onChange({ ...options, size: e.currentTarget.value })} />`}
+            <select value=${options.lang} onChange=${e => onChange({ ...options, lang: e.currentTarget.value })} aria-label=${T.reportLanguage}>
+                <option value="en">English</option>
+                <option value="ar">العربية</option>
+            </select>
+        </div>
+        <div class="duplicate-actions">
+            <button class="secondary-btn" onClick=${onDownload} disabled=${counts[options.source] === 0}>${T.downloadReport}</button>
+            <button class="secondary-btn" onClick=${onPrint} disabled=${counts[options.source] === 0}>${T.printReport}</button>
+        </div>
+        <small class="muted">${T.reportHint}</small>
+    </div>
+`;
+
+/**
+ * Spreadsheet import. Sign-up sheets hold one candidate per row; the user maps columns to
+ * candidate fields and each row becomes a record without going through the model.
+ */
+const IMPORT_FIELDS = [
+    { key: 'name', label: 'nameLabel' },
+    { key: 'age', label: 'age' },
+    { key: 'governorate', label: 'governorate' },
+    { key: 'appliedFor', label: 'appliedFor' },
+    { key: 'email', label: 'email' },
+    { key: 'phone', label: 'phone' },
+    { key: 'skills', label: 'skills' },
+    { key: 'experienceSummary', label: 'experienceSummaryLabel' },
+];
+
+const SPREADSHEET_EXTENSIONS = ['.xlsx', '.csv'];
+
+// Header spellings seen on English and Arabic sign-up sheets, used to pre-fill the mapping.
+const IMPORT_HEADER_ALIASES = {
+    name: ['name', 'full name', 'candidate', 'candidate name', 'الاسم', 'اسم', 'الاسم بالكامل', 'اسم المتقدم'],
+    age: ['age', 'السن', 'العمر'],
+    governorate: ['governorate', 'city', 'location', 'address', 'المحافظة', 'المدينة', 'العنوان', 'محل الإقامة'],
+    appliedFor: ['applied for', 'position', 'job', 'job title', 'role', 'الوظيفة', 'الوظيفة المطلوبة', 'الوظيفة المتقدم لها'],
+    email: ['email', 'e-mail', 'mail', 'email address', 'البريد', 'البريد الإلكتروني', 'الايميل', 'الإيميل'],
+    phone: ['phone', 'mobile', 'tel', 'telephone', 'whatsapp', 'phone number', 'الهاتف', 'الموبايل', 'رقم الهاتف', 'التليفون', 'رقم الموبايل', 'واتساب'],
+    skills: ['skills', 'المهارات'],
+    experienceSummary: ['experience', 'summary', 'notes', 'الخبرة', 'الخبرات', 'ملاحظات'],
+};
+
+const normalizeHeader = (text) => String(text || '').trim().toLowerCase().replace(/[_:]+/g, ' ').replace(/\s+/g, ' ');
+
+// Exact alias matches win over partial ones, and each column is used for at most one field.
+const guessColumnMapping = (headers) => {
+    const normalized = headers.map(normalizeHeader);
+    const mapping = {};
+    const used = new Set();
+    const assign = (matches) => {
+        for (const { key } of IMPORT_FIELDS) {
+            if (mapping[key] !== undefined) continue;
+            const index = normalized.findIndex((header, i) => header && !used.has(i)
+                && IMPORT_HEADER_ALIASES[key].some(alias => matches(header, alias)));
+            if (index >= 0) {
+                mapping[key] = index;
+                used.add(index);
+            }
+        }
+    };
+    assign((header, alias) => header === alias);
+    assign((header, alias) => header.includes(alias));
+    return mapping;
+};
+
+// RFC 4180 parsing with the delimiter sniffed from the first line (Excel uses ";" in some locales).
+const parseCsv = (text) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (inQuotes) {
+            if (ch === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                cell += ch;
             }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
         }
     }
-    throw new Error("API call failed after multiple retries.");
+    if (cell || row.length) {
+        row.push(cell.trim());
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Returns the sheets of an .xlsx or .csv file; empty rows are dropped.
+const readSpreadsheet = async (file) => {
+    const extension = getExtension(file.name);
+    let sheets;
+    if (extension === 'xlsx') sheets = await readXlsxSheets(file);
+    else if (extension === 'csv') sheets = [{ name: file.name, rows: parseCsv(await file.text()) }];
+    else throw categorizedError(`Unsupported spreadsheet type: .${extension || '?'} (use .xlsx or .csv)`, 'unsupportedFormat');
+
+    return sheets
+        .map(sheet => ({ ...sheet, rows: sheet.rows.filter(row => row.some(Boolean)) }))
+        .filter(sheet => sheet.rows.length > 0);
+};
+
+const parseImportedAge = (value) => {
+    const age = parseInt(toWesternDigits(String(value || '')), 10);
+    return age > 0 && age < 100 ? age : null;
+};
+
+// Maps one spreadsheet row to candidate fields; returns null for rows without a name.
+const rowToCandidateFields = (row, mapping) => {
+    const cell = (key) => {
+        const index = mapping[key];
+        return index === undefined || index === '' ? '' : String(row[index] ?? '').trim();
+    };
+    const name = cell('name');
+    if (!name) return null;
+    return {
+        name,
+        age: parseImportedAge(cell('age')),
+        governorate: cell('governorate'),
+        appliedFor: cell('appliedFor'),
+        email: cell('email'),
+        phone: cell('phone'),
+        skills: splitList(cell('skills')),
+        experienceSummary: cell('experienceSummary'),
+    };
+};
+
+const SPREADSHEET_PREVIEW_ROWS = 3;
+
+const ColumnMappingDialog = ({ sheetImport, T, onChange, onConfirm, onCancel }) => {
+    const { fileName, sheets, sheetIndex, hasHeader, mapping } = sheetImport;
+    const rows = sheets[sheetIndex].rows;
+    const headers = hasHeader ? rows[0] : [];
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const columnName = (index) => headers[index] ? `${columnLetter(index)}: ${headers[index]}` : T.columnLabel(columnLetter(index));
+    const candidates = dataRows.map(row => rowToCandidateFields(row, mapping)).filter(Boolean);
+
+    const selectSheet = (index) => {
+        const sheetRows = sheets[index].rows;
+        onChange({ ...sheetImport, sheetIndex: index, mapping: hasHeader ? guessColumnMapping(sheetRows[0]) : {} });
+    };
+    const setMapping = (key, value) => {
+        const next = { ...mapping };
+        if (value === '') delete next[key];
+        else next[key] = parseInt(value, 10);
+        onChange({ ...sheetImport, mapping: next });
+    };
+
+    return html`
+        <div class="modal-overlay" onClick=${e => e.target === e.currentTarget && onCancel()}>
+            <div class="modal mapping-dialog" role="dialog" aria-modal="true" aria-labelledby="mapping-dialog-title">
+                <h3 id="mapping-dialog-title">${T.mapColumnsHeader(fileName)}</h3>
+                ${sheets.length > 1 && html`
+                    <select value=${sheetIndex} onChange=${e => selectSheet(parseInt(e.currentTarget.value, 10))} aria-label=${T.sheetLabel}>
+                        ${sheets.map((sheet, index) => html`<option value=${index}>${sheet.name}</option>`)}
+                    </select>`}
+                <label class="filter-toggle">
+                    <input type="checkbox" checked=${hasHeader} onChange=${e => onChange({
+                        ...sheetImport,
+                        hasHeader: e.currentTarget.checked,
+                        mapping: e.currentTarget.checked ? guessColumnMapping(rows[0]) : mapping,
+                    })} />
+                    <span>${T.firstRowIsHeader}</span>
+                </label>
+                <div class="mapping-grid">
+                    ${IMPORT_FIELDS.map(({ key, label }) => html`
+                        <label class="profile-field" key=${key}>
+                            <span>${T[label]}</span>
+                            <select value=${mapping[key] ?? ''} onChange=${e => setMapping(key, e.currentTarget.value)}>
+                                <option value="">${T.ignoreColumn}</option>
+                                ${Array.from({ length: columnCount }, (_, index) => html`<option value=${index}>${columnName(index)}</option>`)}
+                            </select>
+                        </label>`)}
+                </div>
+                ${candidates.length > 0 && html`
+                    <div class="mapping-preview">
+                        <table class="duplicate-table">
+                            <thead>
+                                <tr>${IMPORT_FIELDS.filter(({ key }) => mapping[key] !== undefined).map(({ label }) => html`<th>${T[label]}</th>`)}</tr>
+                            </thead>
+                            <tbody>
+                                ${candidates.slice(0, SPREADSHEET_PREVIEW_ROWS).map(candidate => html`
+                                    <tr>${IMPORT_FIELDS.filter(({ key }) => mapping[key] !== undefined).map(({ key }) => html`
+                                        <td>${Array.isArray(candidate[key]) ? candidate[key].join(', ') : candidate[key] ?? ''}</td>`)}
+                                    </tr>`)}
+                            </tbody>
+                        </table>
+                    </div>`}
+                <p class="muted">${mapping.name === undefined ? T.mapNameRequired : T.importRowCount(candidates.length, dataRows.length)}</p>
+                <div class="duplicate-actions">
+                    <button onClick=${onConfirm} disabled=${candidates.length === 0}>${T.importRows(candidates.length)}</button>
+                    <button class="secondary-btn" onClick=${onCancel}>${T.cancel}</button>
+                </div>
+            </div>
+        </div>
+    `;
 };
 
 const App = () => {
@@ -130,12 +3478,47 @@ const App = () => {
   const [statusMessage, setStatusMessage] = useState('');
   const [error, setError] = useState('');
   const [jobDescription, setJobDescription] = useState('');
-  const [filters, setFilters] = useState({ job: '', governorate: '', age: '' });
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [sort, setSort] = useState(DEFAULT_SORT);
+  const [filterPresets, setFilterPresets] = useState([]);
+  const [skillDictionary, setSkillDictionary] = useState([]);
+  const [previewId, setPreviewId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [showOutreach, setShowOutreach] = useState(false);
+  const [matchOptions, setMatchOptions] = useState({ mode: 'batched', topN: '' });
+  const [blindMode, setBlindMode] = useState(loadBlindMode);
+  const [revealedIds, setRevealedIds] = useState(() => new Set());
+  const [redactExports, setRedactExports] = useState(loadBlindMode);
+  const [showReport, setShowReport] = useState(false);
+  const [reportOptions, setReportOptions] = useState({ source: 'top', size: DEFAULT_REPORT_SIZE, lang: 'en' });
+  const [messageTemplates, setMessageTemplates] = useState([]);
+  const [viewMode, setViewMode] = useState('list');
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [batch, setBatch] = useState(null);
+  const [failedItems, setFailedItems] = useState([]);
+  const [sheetImport, setSheetImport] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+  const [showComparison, setShowComparison] = useState(false);
+  const [comparisonSummary, setComparisonSummary] = useState(null);
+  const batchControllerRef = useRef(null);
   const [isDragging, setIsDragging] = useState(false);
+  const [expandedMatchIds, setExpandedMatchIds] = useState(() => new Set());
+  const [jobProfile, setJobProfile] = useState(null);
+  const [jobTemplates, setJobTemplates] = useState([]);
+  const [openings, setOpenings] = useState([]);
+  const [activeOpeningId, setActiveOpeningId] = useState(null);
+  const [openingName, setOpeningName] = useState('');
   const [lang, setLang] = useState('en');
+  const [aiSettings, setAiSettings] = useState(loadAiSettings);
   const blobUrlsRef = useRef([]);
+  // Handlers that await other batches read the pool through this ref; their render closure goes stale.
+  const resumesRef = useRef(resumes);
+  resumesRef.current = resumes;
 
   const T = useMemo(() => translations[lang], [lang]);
+  const skillIndex = useMemo(() => buildSkillIndex(skillDictionary), [skillDictionary]);
+  const provider = useMemo(() => createAiProvider(aiSettings), [aiSettings]);
+  const aiModel = aiSettings.models[aiSettings.providerId];
   
   // On unmount, clean up any created blob URLs to prevent memory leaks.
   useEffect(() => {
@@ -144,12 +3527,121 @@ const App = () => {
     }
   }, []);
 
-  // Set an error message if the AI client failed to initialize on load.
+  // Restore candidates and job openings saved in previous sessions.
+  useEffect(() => {
+      Promise.all([candidateStore.getAll(), jobOpeningStore.getAll()]).then(([records, savedOpenings]) => {
+          const loaded = records.map(record => {
+              const fileURL = record.file ? URL.createObjectURL(record.file) : '';
+              if (fileURL) blobUrlsRef.current.push(fileURL);
+              return { ...migrateLegacyScore(record), fileURL };
+          });
+          // Records saved before blind mode existed get their candidate number now, once.
+          const numbered = assignCandidateNumbers(loaded.filter(r => r.candidateNumber), loaded.filter(r => !r.candidateNumber));
+          if (numbered.length > 0) persistResumes(numbered);
+          const restored = loaded.map(r => numbered.find(n => n.id === r.id) || r);
+          let restoredOpenings = savedOpenings;
+          if (needsLegacyOpening(restored, restoredOpenings)) {
+              const legacyOpening = { id: LEGACY_OPENING_ID, name: T.legacyOpeningName, jobDescription: '', profile: null, updatedAt: 0 };
+              restoredOpenings = [...restoredOpenings, legacyOpening];
+              persistOpening(legacyOpening);
+          }
+          restoredOpenings = sortOpenings(restoredOpenings);
+          setOpenings(restoredOpenings);
+          if (restoredOpenings.length > 0) loadOpening(restoredOpenings[0]);
+          if (restored.length === 0) return;
+          setResumes(prev => [...restored, ...prev]);
+          setStatusMessage(T.restoredStatus(restored.length));
+      }).catch(e => {
+          console.error('Failed to restore saved candidates:', e);
+          setError(T.storageError);
+      });
+  }, []);
+
+  // The dictionary is seeded with the built-in synonyms on first run and edited from then on.
+  useEffect(() => {
+      skillSynonymStore.getAll().then(async entries => {
+          if (entries.length === 0) {
+              entries = createDefaultSkillDictionary();
+              await skillSynonymStore.putMany(entries);
+          }
+          setSkillDictionary(entries.sort((a, b) => a.canonical.localeCompare(b.canonical)));
+      }).catch(e => {
+          console.error('Failed to load the skill dictionary:', e);
+          setSkillDictionary(createDefaultSkillDictionary());
+      });
+  }, []);
+
   useEffect(() => {
-      if (!ai) {
+      filterPresetStore.getAll()
+          .then(presets => setFilterPresets(presets.sort((a, b) => a.name.localeCompare(b.name))))
+          .catch(e => console.error('Failed to load saved views:', e));
+  }, []);
+
+  useEffect(() => {
+      messageTemplateStore.getAll()
+          .then(templates => setMessageTemplates(templates.sort((a, b) => a.name.localeCompare(b.name))))
+          .catch(e => console.error('Failed to load message templates:', e));
+  }, []);
+
+  useEffect(() => {
+      jobTemplateStore.getAll()
+          .then(templates => setJobTemplates(templates.sort((a, b) => a.name.localeCompare(b.name))))
+          .catch(e => console.error('Failed to load job templates:', e));
+  }, []);
+
+  const persistOpening = (opening) => {
+      jobOpeningStore.put(opening).catch(e => {
+          console.error('Failed to save job opening:', e);
+          setError(T.storageError);
+      });
+  };
+
+  const persistResumes = (list) => {
+      candidateStore.putMany(list.map(toCandidateRecord)).catch(e => {
+          console.error('Failed to save candidates:', e);
+          setError(T.storageError);
+      });
+  };
+
+  // New candidates are numbered for blind mode as they join the pool; numbers carried in by an
+  // import belong to the exporting pool and are replaced.
+  const addCandidates = (added) => {
+      const numbered = assignCandidateNumbers(resumesRef.current, added);
+      setResumes(prev => [...prev, ...numbered]);
+      persistResumes(numbered);
+  };
+
+  // Set an error message if the selected AI provider could not be initialized.
+  useEffect(() => {
+      if (!provider) {
           setError(T.apiKeyError);
+      } else {
+          setError(prev => Object.values(translations).some(t => t.apiKeyError === prev) ? '' : prev);
+      }
+  }, [T, provider]);
+
+  const handleBlindModeChange = (enabled) => {
+      setBlindMode(enabled);
+      saveBlindMode(enabled);
+      setRevealedIds(new Set());
+      if (enabled) {
+          setRedactExports(true);
+          setShowOutreach(false);
+          setShowDuplicates(false);
       }
-  }, [T]);
+  };
+
+  const toggleReveal = (id) => setRevealedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+  });
+
+  const handleAiSettingsChange = (settings) => {
+      setAiSettings(settings);
+      saveAiSettings(settings);
+  };
 
 
   const resumeSchema = {
@@ -170,9 +3662,145 @@ const App = () => {
           type: Type.STRING,
           description: 'A brief 2-3 sentence summary of the candidate\'s professional experience'
         },
+        education: {
+          type: Type.ARRAY,
+          description: 'Degrees and diplomas, most recent first',
+          items: {
+            type: Type.OBJECT,
+            properties: {
+              degree: { type: Type.STRING, description: 'e.g. Bachelor, Master, Diploma' },
+              field: { type: Type.STRING, description: 'Field of study, e.g. Commerce, Computer Science' },
+              institution: { type: Type.STRING, description: 'University, faculty or school' },
+              graduationYear: { type: Type.NUMBER, description: 'Year of graduation, if stated' },
+            },
+            required: ['degree']
+          }
+        },
+        workHistory: {
+          type: Type.ARRAY,
+          description: 'Jobs held, most recent first',
+          items: {
+            type: Type.OBJECT,
+            properties: {
+              employer: { type: Type.STRING, description: 'Company or organization name' },
+              title: { type: Type.STRING, description: 'Job title' },
+              startDate: { type: Type.STRING, description: 'Start date as YYYY-MM or YYYY' },
+              endDate: { type: Type.STRING, description: 'End date as YYYY-MM or YYYY, or "Present" for a current job' },
+            },
+            required: ['title']
+          }
+        },
+        totalYearsExperience: { type: Type.NUMBER, description: 'Total years of professional experience' },
+        languages: {
+          type: Type.ARRAY,
+          items: { type: Type.STRING },
+          description: 'Spoken languages, with the level if stated (e.g. "English - Fluent")'
+        },
+        certifications: {
+          type: Type.ARRAY,
+          items: { type: Type.STRING },
+          description: 'Professional certifications and courses, e.g. CMA, ICDL, CCNA'
+        },
+        militaryStatus: {
+          type: Type.STRING,
+          enum: MILITARY_STATUSES,
+          description: 'Egyptian military service status: completed, exempted, postponed, notApplicable (e.g. female candidates or non-Egyptians) or unknown if not mentioned'
+        },
       },
       required: ['name', 'skills', 'experienceSummary']
   };
+
+  const jobProfileSchema = {
+      type: Type.OBJECT,
+      properties: {
+        title: { type: Type.STRING, description: 'The job title' },
+        requiredSkills: {
+          type: Type.ARRAY,
+          items: { type: Type.STRING },
+          description: 'Must-have skills and qualifications'
+        },
+        preferredSkills: {
+          type: Type.ARRAY,
+          items: { type: Type.STRING },
+          description: 'Nice-to-have skills and qualifications'
+        },
+        minYearsExperience: { type: Type.NUMBER, description: 'Minimum years of experience, if stated' },
+        location: { type: Type.STRING, description: 'Required governorate or city, if stated' },
+        minAge: { type: Type.NUMBER, description: 'Minimum candidate age, if stated' },
+        maxAge: { type: Type.NUMBER, description: 'Maximum candidate age, if stated' },
+      },
+      required: ['title', 'requiredSkills', 'preferredSkills']
+  };
+
+  const matchSchema = {
+      type: Type.OBJECT,
+      properties: {
+        matchScore: { type: Type.NUMBER, description: 'Match percentage from 0 to 100' },
+        matchedSkills: {
+          type: Type.ARRAY,
+          items: { type: Type.STRING },
+          description: 'Job requirements the candidate clearly satisfies'
+        },
+        missingSkills: {
+          type: Type.ARRAY,
+          items: { type: Type.STRING },
+          description: 'Must-have requirements from the job description the candidate lacks'
+        },
+        experienceFit: {
+          type: Type.STRING,
+          enum: ['strong', 'partial', 'weak'],
+          description: 'How well the candidate\'s experience level fits the role'
+        },
+        rationale: { type: Type.STRING, description: 'A short 1-2 sentence justification of the score' },
+        redFlags: {
+          type: Type.ARRAY,
+          items: { type: Type.STRING },
+          description: 'Concerns a hiring manager should know about, e.g. employment gaps or mismatched seniority'
+        },
+      },
+      required: ['matchScore', 'matchedSkills', 'missingSkills', 'experienceFit', 'rationale', 'redFlags']
+  };
+
+  // One result per candidate in a batched request, keyed by the id given in the prompt.
+  const batchMatchSchema = {
+      type: Type.OBJECT,
+      properties: {
+        results: {
+          type: Type.ARRAY,
+          items: {
+            type: Type.OBJECT,
+            properties: {
+              candidateId: { type: Type.STRING, description: 'The candidate id exactly as given in the prompt, e.g. C3' },
+              ...matchSchema.properties,
+            },
+            required: ['candidateId', ...matchSchema.required],
+          },
+        },
+      },
+      required: ['results']
+  };
+
+  const comparisonSchema = {
+      type: Type.OBJECT,
+      properties: {
+        bestCandidate: { type: Type.STRING, description: 'Name of the candidate who fits the job best, exactly as listed' },
+        summary: { type: Type.STRING, description: 'A short paragraph explaining who fits better and why' },
+        candidates: {
+          type: Type.ARRAY,
+          description: 'One entry per candidate, named exactly as listed',
+          items: {
+            type: Type.OBJECT,
+            properties: {
+              name: { type: Type.STRING, description: 'The candidate name exactly as listed' },
+              strengths: { type: Type.ARRAY, items: { type: Type.STRING } },
+              concerns: { type: Type.ARRAY, items: { type: Type.STRING } },
+            },
+            required: ['name', 'strengths', 'concerns']
+          }
+        },
+      },
+      required: ['bestCandidate', 'summary', 'candidates']
+  };
     
   const fileToGenerativePart = (file) => {
     return new Promise((resolve, reject) => {
@@ -182,127 +3810,532 @@ const App = () => {
         const base64Data = dataUrl.split(',')[1];
         resolve({
           inlineData: {
-            mimeType: file.type,
+            // Files rebuilt from a ZIP may have no type, so fall back to the extension.
+            mimeType: file.type || inferMimeType(file.name),
             data: base64Data
           }
         });
       };
-      reader.onerror = (err) => reject(err);
-      reader.readAsDataURL(file);
-    });
+      reader.onerror = (err) => reject(err);
+      reader.readAsDataURL(file);
+    });
+  };
+
+  // Sends text instead of binary whenever the file can be read locally. `text` is null for inline files.
+  const prepareResumePart = async (file) => {
+    const text = await extractDocumentText(file);
+    if (text === null && !provider.readsFiles) {
+        throw categorizedError(`${file.name}: this provider only accepts text. PDF files need the Gemini provider.`, 'unsupportedFormat');
+    }
+    if (text === null) return { part: await fileToGenerativePart(file), text };
+    return { part: { text: `Resume file "${file.name}" (text extracted locally):\n\n${text}` }, text };
+  };
+
+  // Throws on failure; callers classify the error and record it in the failed list.
+  const analyzeResume = async (file, signal, { bypassCache = false } = {}) => {
+    const fileHash = await hashFile(file).catch(e => {
+        console.warn(`Could not hash ${file.name}, skipping cache:`, e);
+        return null;
+    });
+    const cacheKey = fileHash && getAnalysisCacheKey(fileHash, lang, getAiModelKey(aiSettings));
+    if (cacheKey && !bypassCache) {
+        const cached = await analysisCacheStore.get(cacheKey).catch(() => null);
+        if (cached) {
+            return { ...withExperienceYears(cached.data), ...createPipelineFields(), id: file.name + Date.now(), scores: {}, fileHash, fromCache: true };
+        }
+    }
+
+    const { part, text } = await prepareResumePart(file);
+    const result = await generateContentWithRetry(provider, {
+      model: aiModel,
+      contents: {
+          parts: [
+              part,
+              { text: T.analysisPrompt }
+          ]
+      },
+      config: {
+        responseMimeType: "application/json",
+        responseSchema: resumeSchema,
+        abortSignal: signal,
+      },
+      input: { text: text || '', fileData: part.inlineData?.data || '' },
+    });
+    const parsedData = parseModelJson(result);
+    if (cacheKey) {
+        analysisCacheStore.put({ key: cacheKey, data: parsedData, createdAt: Date.now() })
+            .catch(e => console.warn(`Failed to cache analysis for ${file.name}:`, e));
+    }
+    return { ...withExperienceYears(parsedData), ...createPipelineFields(), id: file.name + Date.now(), scores: {}, fileHash, fromCache: false };
+  };
+    
+  const startBatch = (kind, items) => {
+      const controller = createBatchController();
+      batchControllerRef.current = controller;
+      setBatch({ kind, active: true, paused: false, items: items.map(item => ({ ...item, status: 'pending' })) });
+      return controller;
+  };
+
+  const setQueueItemStatus = (id, status) => {
+      setBatch(prev => prev && { ...prev, items: prev.items.map(item => item.id === id ? { ...item, status } : item) });
+  };
+
+  // Anything still pending when a batch ends was never started because the batch was cancelled.
+  const finishBatch = () => {
+      batchControllerRef.current = null;
+      setBatch(prev => prev && {
+          ...prev,
+          active: false,
+          paused: false,
+          items: prev.items.map(item => item.status === 'pending' || item.status === 'running' ? { ...item, status: 'cancelled' } : item),
+      });
+  };
+
+  const handlePauseBatch = () => {
+      batchControllerRef.current?.pause();
+      setBatch(prev => prev && { ...prev, paused: true });
+  };
+
+  const handleResumeBatch = () => {
+      batchControllerRef.current?.resume();
+      setBatch(prev => prev && { ...prev, paused: false });
+  };
+
+  const handleCancelBatch = () => {
+      batchControllerRef.current?.cancel();
+      setStatusMessage(T.cancellingBatch);
+  };
+
+  const recordFailure = (failure) => {
+      setFailedItems(prev => [...prev.filter(f => f.id !== failure.id), failure]);
+  };
+
+  // Counts suspected duplicate pairs that involve at least one of the newly added candidates.
+  const countNewDuplicatePairs = (added) => {
+      const newIds = new Set(added.map(r => r.id));
+      return findDuplicatePairs([...resumes, ...added]).filter(({ a, b }) => newIds.has(a.id) || newIds.has(b.id)).length;
+  };
+
+  // Runs the analysis worker pool over the given files and adds the results to the pool.
+  const analyzeFiles = async (allFiles) => {
+    const CONCURRENCY_LIMIT = 5;
+    let processedCount = 0;
+    let cachedCount = 0;
+    const analysisResults = [];
+    const processQueue = allFiles.map((file, index) => ({ file, queueId: `file-${index}` }));
+    const controller = startBatch('analysis', processQueue.map(({ file, queueId }, index) => ({ id: queueId, label: file.name, blindLabel: T.fileNumber(index + 1) })));
+    
+    setStatusMessage(T.analyzingStatus(0, allFiles.length));
+
+    const worker = async () => {
+        while (processQueue.length > 0) {
+            await controller.waitIfPaused();
+            if (controller.signal.aborted) break;
+            const entry = processQueue.shift();
+            if (entry) {
+                const { file, queueId } = entry;
+                setQueueItemStatus(queueId, 'running');
+                let result = null;
+                try {
+                    result = await analyzeResume(file, controller.signal);
+                } catch (e) {
+                    if (controller.signal.aborted) {
+                        setQueueItemStatus(queueId, 'cancelled');
+                        break;
+                    }
+                    console.error(`Error analyzing ${file.name}:`, e);
+                    recordFailure({
+                        id: `analysis:${file.name}:${file.size}`,
+                        kind: 'analysis',
+                        label: file.name,
+                        blindLabel: T.fileNumber(allFiles.indexOf(file) + 1),
+                        category: classifyError(e),
+                        message: (e instanceof Error) ? e.message : String(e),
+                        file,
+                    });
+                }
+                setQueueItemStatus(queueId, result ? 'done' : 'failed');
+                
+                processedCount++;
+                setStatusMessage(T.analyzingStatus(processedCount, allFiles.length));
+
+                if (result) {
+                    const { fromCache, ...analysisData } = result;
+                    if (fromCache) cachedCount++;
+                    const blobUrl = URL.createObjectURL(file);
+                    blobUrlsRef.current.push(blobUrl);
+                    analysisResults.push({ ...analysisData, file, fileURL: blobUrl, fileType: file.type || inferMimeType(file.name), fileName: file.name });
+                }
+            }
+        }
+    };
+    
+    try {
+        const workers = Array(CONCURRENCY_LIMIT).fill(null).map(worker);
+        await Promise.all(workers);
+
+        // Identical files (already in the pool or repeated in this batch) are skipped outright.
+        // Anything that only looks like a duplicate is kept and queued for review instead.
+        const uniqueResumes = [];
+        const knownHashes = new Set(resumes.map(r => r.fileHash).filter(Boolean));
+        for (const resume of analysisResults) {
+            if (resume.fileHash && knownHashes.has(resume.fileHash)) {
+                releaseBlobUrl(resume.fileURL);
+                continue;
+            }
+            if (resume.fileHash) knownHashes.add(resume.fileHash);
+            uniqueResumes.push(resume);
+        }
+        addCandidates(uniqueResumes);
+
+        const uniqueCount = uniqueResumes.length;
+        const duplicateCount = analysisResults.length - uniqueCount;
+        const suspectedCount = countNewDuplicatePairs(uniqueResumes);
+        setStatusMessage((controller.signal.aborted ? `${T.batchCancelled(processedCount, allFiles.length)} ` : '')
+            + T.analysisComplete(uniqueCount, duplicateCount, cachedCount)
+            + (suspectedCount > 0 ? ` ${T.duplicatesToReview(suspectedCount)}` : ''));
+    } finally {
+        finishBatch();
+    }
+  };
+
+  const handleFileDrop = useCallback(async (files) => {
+    if (!provider) {
+        setError(T.apiKeyError);
+        return;
+    }
+    setIsLoading(true);
+    setError('');
+    setStatusMessage(T.prepareFiles);
+    
+    let allFiles = [];
+
+    for (const file of files) {
+        if (file.name.toLowerCase().endsWith('.zip')) {
+            const zip = await JSZip.loadAsync(file);
+            for (const filename in zip.files) {
+                // Skip macOS resource forks, which carry a resume's extension but no content.
+                const isMacMetadata = filename.startsWith('__MACOSX/') || filename.split('/').pop().startsWith('._');
+                if (!zip.files[filename].dir && !isMacMetadata && SUPPORTED_EXTENSIONS.some(ext => filename.toLowerCase().endsWith(ext))) {
+                    const blob = await zip.files[filename].async('blob');
+                    allFiles.push(new File([blob], filename, { type: inferMimeType(filename) }));
+                }
+            }
+        } else if (SUPPORTED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))) {
+            allFiles.push(file);
+        }
+    }
+    
+    try {
+        await analyzeFiles(allFiles);
+    } catch (e) {
+        console.error("Analysis process stopped due to a critical error.", e);
+    } finally {
+        setIsLoading(false);
+    }
+  }, [T, lang, resumes, provider, aiSettings]);
+    
+  const releaseBlobUrl = (url) => {
+      if (!url) return;
+      URL.revokeObjectURL(url);
+      blobUrlsRef.current = blobUrlsRef.current.filter(u => u !== url);
+  };
+
+  // Applies user edits (pipeline stage, notes, rating, tags) to a stored candidate record.
+  const updateResume = (id, changes) => {
+      const current = resumes.find(r => r.id === id);
+      if (!current) return;
+      const updated = { ...current, ...changes };
+      setResumes(prev => prev.map(r => r.id === id ? updated : r));
+      persistResumes([updated]);
+  };
+
+  // Saves reviewer corrections; the verified list comes from the editor as a whole.
+  const handleSaveEdits = (id, changes, verifiedFields) => {
+      const current = resumes.find(r => r.id === id);
+      if (!current) return;
+      const updated = { ...applyFieldChanges(current, changes, 'manual'), verifiedFields };
+      setResumes(prev => prev.map(r => r.id === id ? updated : r));
+      persistResumes([updated]);
+      setEditingId(null);
+  };
+
+  // Re-extracts one candidate from its original file, skipping the cache. Verified fields are kept.
+  const handleReanalyze = async (id) => {
+      const current = resumes.find(r => r.id === id);
+      if (!current?.file) return;
+      if (!provider) {
+          setError(T.apiKeyError);
+          return;
+      }
+      setIsLoading(true);
+      setError('');
+      setStatusMessage(T.reanalyzingStatus(blindMode ? T.candidateNumber(current.candidateNumber) : current.name || current.fileName));
+      try {
+          const file = current.file.name ? current.file : new File([current.file], current.fileName || 'resume', { type: inferMimeType(current.fileName) });
+          const fresh = await analyzeResume(file, undefined, { bypassCache: true });
+          const updated = applyReanalysis(current, fresh);
+          const changedCount = (updated.history || []).length - (current.history || []).length;
+          setResumes(prev => prev.map(r => r.id === id ? updated : r));
+          persistResumes([updated]);
+          setStatusMessage(T.reanalysisComplete(changedCount, (current.verifiedFields || []).length));
+      } catch (e) {
+          console.error(`Error re-analyzing ${current.fileName}:`, e);
+          setError(T.reanalysisFailed(T.errorCategories[classifyError(e)]));
+          setStatusMessage('');
+      } finally {
+          setIsLoading(false);
+      }
+  };
+
+  const handleMergeDuplicates = (primaryId, secondaryId) => {
+      const primary = resumes.find(r => r.id === primaryId);
+      const secondary = resumes.find(r => r.id === secondaryId);
+      if (!primary || !secondary) return;
+      const { fileURL: secondaryURL, ...secondaryRecord } = secondary;
+      const merged = mergeCandidates(primary, secondaryRecord);
+      // Keep the secondary file only if it is the one the merged record ends up pointing at.
+      if (merged.file === secondary.file) merged.fileURL = secondaryURL;
+      else releaseBlobUrl(secondaryURL);
+
+      setResumes(prev => prev.filter(r => r.id !== secondaryId).map(r => r.id === primaryId ? merged : r));
+      persistResumes([merged]);
+      candidateStore.delete(secondaryId).catch(e => {
+          console.error('Failed to delete merged candidate:', e);
+          setError(T.storageError);
+      });
+  };
+
+  const handleKeepBoth = (aId, bId) => {
+      const a = resumes.find(r => r.id === aId);
+      const b = resumes.find(r => r.id === bId);
+      if (!a || !b) return;
+      const updatedA = { ...a, notDuplicateOf: uniqueStrings([...(a.notDuplicateOf || []), bId]) };
+      const updatedB = { ...b, notDuplicateOf: uniqueStrings([...(b.notDuplicateOf || []), aId]) };
+      setResumes(prev => prev.map(r => r.id === aId ? updatedA : r.id === bId ? updatedB : r));
+      persistResumes([updatedA, updatedB]);
+  };
+
+  const handleDeleteResume = (resume) => {
+      releaseBlobUrl(resume.fileURL);
+      setResumes(prev => prev.filter(r => r.id !== resume.id));
+      candidateStore.delete(resume.id).catch(e => {
+          console.error('Failed to delete candidate:', e);
+          setError(T.storageError);
+      });
+  };
+
+  const handleClearAll = () => {
+      if (!window.confirm(T.clearAllConfirm)) return;
+      blobUrlsRef.current.forEach(URL.revokeObjectURL);
+      blobUrlsRef.current = [];
+      setResumes([]);
+      setStatusMessage('');
+      candidateStore.clear().catch(e => {
+          console.error('Failed to clear candidates:', e);
+          setError(T.storageError);
+      });
+  };
+
+  const getExportList = () => redactExports ? filteredResumes.map(resume => redactCandidateForExport(resume, T)) : filteredResumes;
+
+  const handleExportCsv = () => {
+      const csv = toCsv(buildExportRows(getExportList(), T));
+      downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `candidates-${exportTimestamp()}.csv`);
+  };
+
+  const handleExportXlsx = async () => {
+      try {
+          const blob = await toXlsx(buildExportRows(getExportList(), T), T.exportSheetName);
+          downloadBlob(blob, `candidates-${exportTimestamp()}.xlsx`);
+      } catch (e) {
+          console.error('Failed to build the Excel export:', e);
+          setError(e instanceof Error ? e.message : String(e));
+      }
+  };
+
+  const handleMarkContacted = (ids, channel) => {
+      const idSet = new Set(ids);
+      const at = Date.now();
+      const updated = resumes.filter(r => idSet.has(r.id)).map(r => ({ ...r, contactLog: [...(r.contactLog || []), { channel, at }] }));
+      if (updated.length === 0) return;
+      const byId = new Map(updated.map(r => [r.id, r]));
+      setResumes(prev => prev.map(r => byId.get(r.id) || r));
+      persistResumes(updated);
+  };
+
+  const handleExportEml = async (messages) => {
+      try {
+          const zip = new JSZip();
+          messages.filter(m => m.resume.email).forEach((m, index) => {
+              const baseName = (m.resume.name || m.resume.email).replace(/[\\/:*?"<>|]/g, '').trim();
+              zip.file(`${String(index + 1).padStart(3, '0')}-${baseName}.eml`, buildEml({ to: m.resume.email, subject: m.subject, body: m.body }));
+          });
+          downloadBlob(await zip.generateAsync({ type: 'blob' }), `messages-${exportTimestamp()}.zip`);
+      } catch (e) {
+          console.error('Failed to build the email export:', e);
+          setError(e instanceof Error ? e.message : String(e));
+      }
+  };
+
+  const handleExportMailMerge = (messages) => {
+      const csv = toCsv(buildMailMergeRows(messages, T));
+      downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `mail-merge-${exportTimestamp()}.csv`);
+  };
+
+  // Report candidates are always ranked by score, whichever source they come from.
+  const getReportCandidates = () => {
+      const ranked = sortCandidates(filteredResumes, DEFAULT_SORT, lang);
+      if (reportOptions.source === 'selected') {
+          return sortCandidates(compareIds.map(id => rankedResumes.find(r => r.id === id)).filter(Boolean), DEFAULT_SORT, lang);
+      }
+      if (reportOptions.source === 'shortlisted') return ranked.filter(r => getStage(r) === 'shortlisted');
+      return ranked.slice(0, parseInt(reportOptions.size, 10) || DEFAULT_REPORT_SIZE);
+  };
+
+  const buildReport = () => {
+      const reportT = translations[reportOptions.lang];
+      const opening = openings.find(o => o.id === activeOpeningId);
+      const job = opening || { name: openingName.trim(), jobDescription, profile: jobProfile };
+      const candidates = getReportCandidates();
+      return buildShortlistReport({
+          candidates: redactExports ? candidates.map(resume => redactCandidateForExport(resume, reportT)) : candidates,
+          job,
+          T: reportT,
+          lang: reportOptions.lang,
+      });
+  };
+
+  const handleDownloadReport = () => {
+      downloadBlob(new Blob([buildReport()], { type: 'text/html;charset=utf-8' }), `shortlist-${exportTimestamp()}.html`);
+  };
+
+  const handlePrintReport = () => printHtml(buildReport());
+
+  const toggleReport = () => {
+      if (!showReport) setReportOptions(prev => ({ ...prev, lang }));
+      setShowReport(!showReport);
+  };
+
+  // The JSON export carries the full analysis (minus file blobs) so it can be re-imported elsewhere.
+  const handleExportJson = () => {
+      const payload = {
+          version: EXPORT_FORMAT_VERSION,
+          exportedAt: new Date().toISOString(),
+          openings,
+          candidates: getExportList().map(({ file, ...resume }) => redactExports ? redactCandidateRecord(toCandidateRecord(resume)) : toCandidateRecord(resume)),
+      };
+      downloadBlob(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), `candidates-${exportTimestamp()}.json`);
   };
 
-  const analyzeResume = async (file) => {
-    try {
-      const part = await fileToGenerativePart(file);
-      const result = await generateContentWithRetry(ai, {
-        model: 'gemini-2.5-flash',
-        contents: {
-            parts: [
-                part,
-                { text: T.analysisPrompt }
-            ]
-        },
-        config: {
-          responseMimeType: "application/json",
-          responseSchema: resumeSchema,
-        }
-      });
-      const parsedData = JSON.parse(result.text);
-      return { ...parsedData, id: file.name + Date.now(), matchScore: null };
-    } catch (e) {
-      console.error(`Error analyzing ${file.name}:`, e);
-      let errorMessage = T.analysisError(file.name);
-      const errorString = (e instanceof Error) ? e.message : JSON.stringify(e);
-      if (errorString.includes('429') || errorString.includes('503') || errorString.toLowerCase().includes('overloaded')) {
-          errorMessage += ' (The AI service is temporarily overloaded. Please try again in a few moments).';
+  const handleImportJson = async (e) => {
+      const input = e.currentTarget;
+      const file = input.files?.[0];
+      input.value = '';
+      if (!file) return;
+      setError('');
+      try {
+          const payload = JSON.parse(await file.text());
+          const candidates = Array.isArray(payload) ? payload : payload?.candidates;
+          if (!Array.isArray(candidates)) throw new Error('Missing candidates array');
+
+          const knownHashes = new Set(resumes.map(r => r.fileHash).filter(Boolean));
+          const imported = [];
+          for (const candidate of candidates) {
+              if (!candidate || typeof candidate !== 'object' || !candidate.name) continue;
+              if (candidate.fileHash && knownHashes.has(candidate.fileHash)) continue;
+              if (candidate.fileHash) knownHashes.add(candidate.fileHash);
+              imported.push({
+                  ...migrateLegacyScore(candidate),
+                  id: `${candidate.id || candidate.name}-import-${Date.now()}-${imported.length}`,
+                  skills: Array.isArray(candidate.skills) ? candidate.skills : [],
+                  fileURL: '',
+              });
+          }
+
+          // Bring along the openings the imported scores refer to, without overwriting local ones.
+          const importedOpenings = (Array.isArray(payload?.openings) ? payload.openings : [])
+              .filter(o => o?.id && !openings.some(existing => existing.id === o.id));
+          if (needsLegacyOpening(imported, [...openings, ...importedOpenings])) {
+              importedOpenings.push({ id: LEGACY_OPENING_ID, name: T.legacyOpeningName, jobDescription: '', profile: null, updatedAt: 0 });
+          }
+          importedOpenings.forEach(persistOpening);
+          setOpenings(prev => sortOpenings([...prev, ...importedOpenings]));
+
+          addCandidates(imported);
+          setStatusMessage(T.importComplete(imported.length, candidates.length - imported.length));
+      } catch (err) {
+          console.error(`Failed to import ${file.name}:`, err);
+          setError(T.importError(file.name));
       }
-      setError(prev => prev ? `${prev}\n${errorMessage}` : errorMessage);
-      return null;
-    }
   };
-    
-  const handleFileDrop = useCallback(async (files) => {
-    if (!ai) {
-        setError(T.apiKeyError);
-        return;
-    }
-    setIsLoading(true);
-    setError('');
-    setStatusMessage(T.prepareFiles);
-
-    blobUrlsRef.current.forEach(URL.revokeObjectURL);
-    blobUrlsRef.current = [];
-    setResumes([]);
-    
-    let allFiles = [];
-    const supportedExtensions = ['.pdf', '.doc', '.docx', '.xls', '.xlsx'];
 
-    for (const file of files) {
-        if (file.name.toLowerCase().endsWith('.zip')) {
-            const zip = await JSZip.loadAsync(file);
-            for (const filename in zip.files) {
-                if (!zip.files[filename].dir && supportedExtensions.some(ext => filename.toLowerCase().endsWith(ext))) {
-                    const blob = await zip.files[filename].async('blob');
-                    allFiles.push(new File([blob], filename));
-                }
-            }
-        } else if (supportedExtensions.some(ext => file.name.toLowerCase().endsWith(ext))) {
-            allFiles.push(file);
-        }
-    }
-    
-    const CONCURRENCY_LIMIT = 5;
-    let processedCount = 0;
-    const analysisResults = [];
-    const processQueue = [...allFiles];
-    
-    setStatusMessage(T.analyzingStatus(0, allFiles.length));
+  const handleSpreadsheetSelect = async (e) => {
+      const input = e.currentTarget;
+      const file = input.files?.[0];
+      input.value = '';
+      if (!file) return;
+      setError('');
+      try {
+          const sheets = await readSpreadsheet(file);
+          if (sheets.length === 0) {
+              setError(T.spreadsheetEmpty(file.name));
+              return;
+          }
+          setSheetImport({ fileName: file.name, sheets, sheetIndex: 0, hasHeader: true, mapping: guessColumnMapping(sheets[0].rows[0]) });
+      } catch (err) {
+          console.error(`Failed to read ${file.name}:`, err);
+          setError(err instanceof Error ? err.message : String(err));
+      }
+  };
 
-    const worker = async () => {
-        while (processQueue.length > 0) {
-            const file = processQueue.shift();
-            if (file) {
-                const analysisData = await analyzeResume(file);
-                
-                processedCount++;
-                setStatusMessage(T.analyzingStatus(processedCount, allFiles.length));
+  // Each mapped row becomes a candidate. The raw row values are hashed like files, so re-importing the same
+  // sheet is a no-op whatever the column mapping, while look-alikes of existing candidates go to duplicate review.
+  const handleConfirmSpreadsheetImport = async () => {
+      const { fileName, sheets, sheetIndex, hasHeader, mapping } = sheetImport;
+      const rows = sheets[sheetIndex].rows;
+      const dataRows = hasHeader ? rows.slice(1) : rows;
+      const firstRowNumber = hasHeader ? 2 : 1;
+      setSheetImport(null);
 
-                if (analysisData) {
-                    const blobUrl = URL.createObjectURL(file);
-                    blobUrlsRef.current.push(blobUrl);
-                    analysisResults.push({ ...analysisData, fileURL: blobUrl, fileType: file.type, fileName: file.name });
-                }
-            }
-        }
-    };
-    
-    try {
-        const workers = Array(CONCURRENCY_LIMIT).fill(null).map(worker);
-        await Promise.all(workers);
+      const knownHashes = new Set(resumes.map(r => r.fileHash).filter(Boolean));
+      const imported = [];
+      let skippedCount = 0;
+      for (const [index, row] of dataRows.entries()) {
+          const fields = rowToCandidateFields(row, mapping);
+          if (!fields) continue;
+          const fileHash = await hashFile(new Blob([JSON.stringify(row.map(cell => String(cell ?? '').trim()))])).catch(() => null);
+          if (fileHash && knownHashes.has(fileHash)) {
+              skippedCount++;
+              continue;
+          }
+          if (fileHash) knownHashes.add(fileHash);
+          imported.push({
+              ...fields,
+              ...createPipelineFields(),
+              id: `${fileName}-row${firstRowNumber + index}-${Date.now()}`,
+              scores: {},
+              fileHash,
+              fileName: `${fileName} (${sheets[sheetIndex].name}, #${firstRowNumber + index})`,
+              fileURL: '',
+          });
+      }
 
-        const uniqueResumes = [];
-        const uniqueIdentifiers = new Set();
-        for (const resume of analysisResults) {
-            const identifier = `${(resume.name || '').toLowerCase()}|${(resume.email || '').toLowerCase()}`;
-            if (!uniqueIdentifiers.has(identifier)) {
-                uniqueIdentifiers.add(identifier);
-                uniqueResumes.push(resume);
-            }
-        }
-        setResumes(uniqueResumes);
+      addCandidates(imported);
+      const suspectedCount = countNewDuplicatePairs(imported);
+      setStatusMessage(T.spreadsheetImportComplete(imported.length, skippedCount)
+          + (suspectedCount > 0 ? ` ${T.duplicatesToReview(suspectedCount)}` : ''));
+  };
 
-        const uniqueCount = uniqueResumes.length;
-        const duplicateCount = analysisResults.length - uniqueCount;
-        setStatusMessage(T.analysisComplete(uniqueCount, duplicateCount));
+  const toggleMatchDetails = (id) => {
+      setExpandedMatchIds(prev => {
+          const next = new Set(prev);
+          if (next.has(id)) next.delete(id);
+          else next.add(id);
+          return next;
+      });
+  };
 
-    } catch (e) {
-        console.error("Analysis process stopped due to a critical error.", e);
-    } finally {
-        setIsLoading(false);
-    }
-  }, [T]);
-    
   const handleDragEvents = (e) => {
       e.preventDefault();
       e.stopPropagation();
@@ -325,91 +4358,398 @@ const App = () => {
     }
   };
 
-  const handleMatch = async () => {
-    if (!ai) {
+  const handleParseJobDescription = async () => {
+    if (!provider) {
         setError(T.apiKeyError);
         return;
     }
-    if (!jobDescription || resumes.length === 0) {
-        setError(T.matchError);
+    if (!jobDescription.trim()) {
+        setError(T.parseJobError);
         return;
     }
     setIsLoading(true);
     setError('');
-    
-    const CONCURRENCY_LIMIT = 5;
+    setStatusMessage(T.parsingJob);
+    try {
+        const result = await generateContentWithRetry(provider, {
+            model: aiModel,
+            contents: `Extract a structured hiring profile from this job description. ${T.parseJobLanguageInstruction}\n\n"${jobDescription}"`,
+            config: {
+                responseMimeType: "application/json",
+                responseSchema: jobProfileSchema,
+            },
+            input: { jobDescription },
+        });
+        const { minAge, maxAge, ...parsed } = parseModelJson(result);
+        setJobProfile(createJobProfile({
+            ...parsed,
+            minYearsExperience: parsed.minYearsExperience ?? null,
+            location: parsed.location || '',
+            ageRange: { min: minAge ?? null, max: maxAge ?? null },
+        }));
+        setStatusMessage(T.parseJobComplete);
+    } catch (e) {
+        console.error('Error parsing the job description:', e);
+        setError(T.parseJobFailed);
+        setStatusMessage('');
+    } finally {
+        setIsLoading(false);
+    }
+  };
+
+  const handleSaveTemplate = async () => {
+      if (!jobProfile) return;
+      const name = window.prompt(T.templateNamePrompt, jobProfile.title);
+      if (!name || !name.trim()) return;
+      const existing = jobTemplates.find(t => t.name === name.trim());
+      const template = {
+          id: existing?.id || `template-${Date.now()}`,
+          name: name.trim(),
+          jobDescription,
+          profile: jobProfile,
+          savedAt: Date.now(),
+      };
+      try {
+          await jobTemplateStore.put(template);
+          setJobTemplates(prev => [...prev.filter(t => t.id !== template.id), template].sort((a, b) => a.name.localeCompare(b.name)));
+          setStatusMessage(T.templateSaved(template.name));
+      } catch (e) {
+          console.error('Failed to save job template:', e);
+          setError(T.storageError);
+      }
+  };
+
+  const handleSaveFilterPreset = async () => {
+      const name = window.prompt(T.filterPresetNamePrompt);
+      if (!name || !name.trim()) return;
+      const existing = filterPresets.find(p => p.name === name.trim());
+      const preset = { id: existing?.id || `preset-${Date.now()}`, name: name.trim(), filters, sort, savedAt: Date.now() };
+      try {
+          await filterPresetStore.put(preset);
+          setFilterPresets(prev => [...prev.filter(p => p.id !== preset.id), preset].sort((a, b) => a.name.localeCompare(b.name)));
+          setStatusMessage(T.filterPresetSaved(preset.name));
+      } catch (e) {
+          console.error('Failed to save view:', e);
+          setError(T.storageError);
+      }
+  };
+
+  const handleSaveMessageTemplate = async ({ subject, body, lang: templateLang }) => {
+      const name = window.prompt(T.messageTemplateNamePrompt);
+      if (!name || !name.trim()) return;
+      const existing = messageTemplates.find(t => t.name === name.trim());
+      const template = { id: existing?.id || `message-${Date.now()}`, name: name.trim(), lang: templateLang, subject, body, savedAt: Date.now() };
+      try {
+          await messageTemplateStore.put(template);
+          setMessageTemplates(prev => [...prev.filter(t => t.id !== template.id), template].sort((a, b) => a.name.localeCompare(b.name)));
+          setStatusMessage(T.templateSaved(template.name));
+      } catch (e) {
+          console.error('Failed to save message template:', e);
+          setError(T.storageError);
+      }
+  };
+
+  const handleDeleteMessageTemplate = async (id) => {
+      const template = messageTemplates.find(t => t.id === id);
+      if (!template || !window.confirm(T.templateDeleteConfirm(template.name))) return;
+      try {
+          await messageTemplateStore.delete(id);
+          setMessageTemplates(prev => prev.filter(t => t.id !== id));
+      } catch (e) {
+          console.error('Failed to delete message template:', e);
+          setError(T.storageError);
+      }
+  };
+
+  const handleLoadFilterPreset = (id) => {
+      const preset = filterPresets.find(p => p.id === id);
+      if (!preset) return;
+      setFilters({ ...DEFAULT_FILTERS, ...preset.filters });
+      setSort({ ...DEFAULT_SORT, ...preset.sort });
+  };
+
+  const handleDeleteFilterPreset = async (id) => {
+      const preset = filterPresets.find(p => p.id === id);
+      if (!preset || !window.confirm(T.filterPresetDeleteConfirm(preset.name))) return;
+      try {
+          await filterPresetStore.delete(id);
+          setFilterPresets(prev => prev.filter(p => p.id !== id));
+      } catch (e) {
+          console.error('Failed to delete view:', e);
+          setError(T.storageError);
+      }
+  };
+
+  const handleSaveSkillEntry = (entry) => {
+      setSkillDictionary(prev => {
+          const exists = prev.some(e => e.id === entry.id);
+          return exists ? prev.map(e => e.id === entry.id ? entry : e) : [entry, ...prev];
+      });
+      skillSynonymStore.put(entry).catch(e => {
+          console.error('Failed to save skill synonyms:', e);
+          setError(T.storageError);
+      });
+  };
+
+  const handleDeleteSkillEntry = (id) => {
+      setSkillDictionary(prev => prev.filter(e => e.id !== id));
+      skillSynonymStore.delete(id).catch(e => {
+          console.error('Failed to delete skill synonyms:', e);
+          setError(T.storageError);
+      });
+  };
+
+  const handleResetSkillDictionary = async () => {
+      if (!window.confirm(T.resetSkillDictionaryConfirm)) return;
+      const defaults = createDefaultSkillDictionary();
+      setSkillDictionary(defaults);
+      try {
+          await skillSynonymStore.clear();
+          await skillSynonymStore.putMany(defaults);
+      } catch (e) {
+          console.error('Failed to reset the skill dictionary:', e);
+          setError(T.storageError);
+      }
+  };
+
+  const handleLoadTemplate = (id) => {
+      const template = jobTemplates.find(t => t.id === id);
+      if (!template) return;
+      setJobDescription(template.jobDescription || '');
+      setJobProfile(createJobProfile(template.profile));
+  };
+
+  const handleDeleteTemplate = async (id) => {
+      const template = jobTemplates.find(t => t.id === id);
+      if (!template || !window.confirm(T.templateDeleteConfirm(template.name))) return;
+      try {
+          await jobTemplateStore.delete(id);
+          setJobTemplates(prev => prev.filter(t => t.id !== id));
+      } catch (e) {
+          console.error('Failed to delete job template:', e);
+          setError(T.storageError);
+      }
+  };
+
+  const loadOpening = (opening) => {
+      setActiveOpeningId(opening?.id ?? null);
+      setOpeningName(opening?.name ?? '');
+      setJobDescription(opening?.jobDescription ?? '');
+      setJobProfile(opening?.profile ? createJobProfile(opening.profile) : null);
+  };
+
+  // Write the working description and profile back to the active opening before switching away from it.
+  const saveActiveOpening = () => {
+      const current = openings.find(o => o.id === activeOpeningId);
+      if (!current) return;
+      const updated = { ...current, name: openingName.trim() || current.name, jobDescription, profile: jobProfile };
+      setOpenings(prev => prev.map(o => o.id === updated.id ? updated : o));
+      persistOpening(updated);
+  };
+
+  const handleSelectOpening = (id) => {
+      if (id === activeOpeningId) return;
+      saveActiveOpening();
+      loadOpening(openings.find(o => o.id === id) || null);
+  };
+
+  const handleNewOpening = () => {
+      saveActiveOpening();
+      loadOpening(null);
+  };
+
+  const handleDeleteOpening = () => {
+      const opening = openings.find(o => o.id === activeOpeningId);
+      if (!opening || !window.confirm(T.deleteOpeningConfirm(opening.name))) return;
+
+      const affected = resumes.filter(r => r.scores?.[opening.id]).map(r => {
+          const { [opening.id]: removed, ...scores } = r.scores;
+          return { ...r, scores };
+      });
+      setResumes(prev => prev.map(r => affected.find(a => a.id === r.id) || r));
+      persistResumes(affected);
+
+      setOpenings(prev => prev.filter(o => o.id !== opening.id));
+      jobOpeningStore.delete(opening.id).catch(e => {
+          console.error('Failed to delete job opening:', e);
+          setError(T.storageError);
+      });
+      loadOpening(null);
+  };
+
+  // Throws on failure; the caller classifies the error and records it in the failed list.
+  const matchSingleResume = async (resume, opening, signal) => {
+    const jobSection = describeJobForPrompt(opening, blindMode);
+    const candidateLines = describeCandidateForMatch(resume, opening.profile, skillIndex, blindMode);
+    const prompt = `
+        ${jobSection}
+        
+        Candidate Data:
+        ${candidateLines.join('\n')}
+
+        Based on the above, what is the match percentage for this candidate for the job, from 0 to 100?
+        Explain the score: list the requirements the candidate meets, the must-have requirements they are missing,
+        how well their experience level fits, a short rationale and any red flags.
+        ${T.matchLanguageInstruction}
+    `;
+    const result = await generateContentWithRetry(provider, {
+        model: aiModel,
+        contents: prompt,
+        config: {
+            responseMimeType: "application/json",
+            responseSchema: matchSchema,
+            abortSignal: signal,
+        },
+        input: { job: opening, candidate: { skills: normalizeSkills(resume.skills, skillIndex) } },
+    });
+    const { matchScore, ...matchDetails } = parseModelJson(result);
+    return { ...resume, scores: { ...resume.scores, [opening.id]: { matchScore, matchDetails, matchedAt: Date.now() } } };
+  };
+
+  // Scores several candidates in one request. Candidates missing from the response are
+  // simply absent from the returned list; the caller records them as failed.
+  const matchResumeBatch = async (batch, opening, signal) => {
+    const ids = batch.map((_, index) => `C${index + 1}`);
+    const candidateBlocks = batch.map((resume, index) => `[${ids[index]}]\n${describeCandidateForMatch(resume, opening.profile, skillIndex, blindMode).join('\n')}`);
+    const prompt = `
+        ${describeJobForPrompt(opening, blindMode)}
+
+        Candidates (each block starts with the candidate id in square brackets):
+        ${candidateBlocks.join('\n\n')}
+
+        Score every candidate independently against the job, from 0 to 100; do not rank them against each other.
+        Return exactly one result per candidate with its id as given. For each, list the requirements the candidate meets,
+        the must-have requirements they are missing, how well their experience level fits, a short rationale and any red flags.
+        ${T.matchLanguageInstruction}
+    `;
+    const result = await generateContentWithRetry(provider, {
+        model: aiModel,
+        contents: prompt,
+        config: {
+            responseMimeType: "application/json",
+            responseSchema: batchMatchSchema,
+            abortSignal: signal,
+        },
+        input: { job: opening, candidates: batch.map((resume, index) => ({ id: ids[index], skills: normalizeSkills(resume.skills, skillIndex) })) },
+    });
+    const { results } = parseModelJson(result);
+    const matchedAt = Date.now();
+    return (results || []).flatMap(({ candidateId, matchScore, ...matchDetails }) => {
+        const resume = batch[ids.indexOf(String(candidateId).trim().toUpperCase())];
+        return resume ? [{ ...resume, scores: { ...resume.scores, [opening.id]: { matchScore, matchDetails, matchedAt } } }] : [];
+    });
+  };
+
+  // Runs the matching worker pool for one opening and stores the scores on each candidate.
+  // In batched mode a batch whose response can't be parsed (often a truncated answer) is split
+  // in half and retried, so the batch size adapts to what the model can return.
+  const runMatching = async (resumesToMatch, opening) => {
+    const mode = matchOptions.mode;
     let processedCount = 0;
-    const resumesToMatch = [...resumes];
     const updatedResumes = [];
-    const processQueue = [...resumesToMatch];
+    const processQueue = buildMatchBatches(resumesToMatch, opening.profile, skillIndex, mode, blindMode);
+    const controller = startBatch('matching', resumesToMatch.map(r => ({ id: r.id, label: r.name || r.fileName || r.id, blindLabel: T.candidateNumber(r.candidateNumber) })));
     
-    setStatusMessage(T.matchingStatus(0, resumes.length));
-    
-    const matchSingleResume = async (resume) => {
-        try {
-            const prompt = `
-                Job Description: "${jobDescription}"
-                
-                Candidate Data:
-                - Skills: ${resume.skills.join(', ')}
-                - Experience Summary: ${resume.experienceSummary}
-
-                Based on the above, what is the match percentage for this candidate for the job, from 0 to 100?
-                Provide the answer as JSON only, in the following format: {"matchScore": number}
-            `;
-            const result = await generateContentWithRetry(ai, {
-                model: 'gemini-2.5-flash',
-                contents: prompt,
-                config: {
-                    responseMimeType: "application/json",
-                    responseSchema: {
-                        type: Type.OBJECT,
-                        properties: {
-                            matchScore: { type: Type.NUMBER }
-                        }
-                    }
-                }
-            });
-            const matchScore = JSON.parse(result.text).matchScore;
-            return { ...resume, matchScore };
-        } catch (e) {
-            console.error(`Error matching ${resume.name}:`, e);
-            let errorMessage = `Error matching candidate: ${resume.name}.`;
-            const errorString = (e instanceof Error) ? e.message : JSON.stringify(e);
-            if (errorString.includes('429') || errorString.includes('503') || errorString.toLowerCase().includes('overloaded')) {
-                errorMessage += ' (The AI service is temporarily overloaded. Please try again in a few moments).';
-            }
-            setError(prev => prev ? `${prev}\n${errorMessage}` : errorMessage);
-            return null;
-        }
-    };
+    setStatusMessage(T.matchingStatus(0, resumesToMatch.length));
 
     const worker = async () => {
         while (processQueue.length > 0) {
-            const resume = processQueue.shift();
-            if (resume) {
-                const updatedResume = await matchSingleResume(resume);
+            await controller.waitIfPaused();
+            if (controller.signal.aborted) break;
+            const group = processQueue.shift();
+            if (!group) continue;
+            group.forEach(resume => setQueueItemStatus(resume.id, 'running'));
+            let matched = [];
+            let failure = null;
+            try {
+                matched = group.length === 1
+                    ? [await matchSingleResume(group[0], opening, controller.signal)]
+                    : await matchResumeBatch(group, opening, controller.signal);
+            } catch (e) {
+                if (controller.signal.aborted) {
+                    group.forEach(resume => setQueueItemStatus(resume.id, 'cancelled'));
+                    break;
+                }
+                if (group.length > 1 && classifyError(e) === 'parseError') {
+                    const half = Math.ceil(group.length / 2);
+                    processQueue.unshift(group.slice(0, half), group.slice(half));
+                    group.forEach(resume => setQueueItemStatus(resume.id, 'pending'));
+                    continue;
+                }
+                console.error(`Error matching ${group.map(r => r.name).join(', ')}:`, e);
+                failure = e;
+            }
+            for (const resume of group) {
+                const updatedResume = matched.find(u => u.id === resume.id);
                 if (updatedResume) {
                     updatedResumes.push(updatedResume);
+                } else {
+                    recordFailure({
+                        id: `matching:${resume.id}:${opening.id}`,
+                        kind: 'matching',
+                        label: `${resume.name || resume.fileName} → ${opening.name}`,
+                        blindLabel: `${T.candidateNumber(resume.candidateNumber)} → ${opening.name}`,
+                        category: failure ? classifyError(failure) : 'parseError',
+                        message: failure ? ((failure instanceof Error) ? failure.message : String(failure)) : T.missingBatchResult,
+                        resumeId: resume.id,
+                        opening,
+                    });
                 }
+                setQueueItemStatus(resume.id, updatedResume ? 'done' : 'failed');
                 processedCount++;
-                setStatusMessage(T.matchingStatus(processedCount, resumesToMatch.length));
             }
+            setStatusMessage(T.matchingStatus(processedCount, resumesToMatch.length));
         }
     };
     
     try {
-        const workers = Array(CONCURRENCY_LIMIT).fill(null).map(worker);
+        const workers = Array(MATCH_CONCURRENCY[mode]).fill(null).map(worker);
         await Promise.all(workers);
         
-        const finalResumes = resumes.map(original => {
-            const updated = updatedResumes.find(u => u.id === original.id);
-            return updated || { ...original, matchScore: original.matchScore ?? 0 };
-        }).sort((a, b) => (b.matchScore ?? -1) - (a.matchScore ?? -1));
+        // Failed and cancelled candidates keep whatever score they had; failures wait in the failed list.
+        // Only the score entries are merged, so candidates added meanwhile (e.g. by a retry) are kept.
+        const scoreUpdates = new Map(updatedResumes.map(updated => [updated.id, updated.scores[opening.id]]));
+        const applyScores = (r) => scoreUpdates.has(r.id) ? { ...r, scores: { ...r.scores, [opening.id]: scoreUpdates.get(r.id) } } : r;
+
+        setResumes(prev => prev.map(applyScores));
+        persistResumes(resumesToMatch.filter(r => scoreUpdates.has(r.id)).map(applyScores));
+        setStatusMessage(controller.signal.aborted ? T.batchCancelled(processedCount, resumesToMatch.length) : T.matchComplete);
+    } finally {
+        finishBatch();
+    }
+  };
+
+  const handleMatch = async () => {
+    if (!provider) {
+        setError(T.apiKeyError);
+        return;
+    }
+    if ((!jobDescription && !jobProfile) || resumes.length === 0) {
+        setError(T.matchError);
+        return;
+    }
+    const plan = planMatchRun(resumes, { jobDescription, profile: jobProfile }, { ...matchOptions, blind: blindMode }, skillIndex, getAiModelKey(aiSettings));
+    if (plan.batches.length > MATCH_CONFIRM_REQUESTS && !window.confirm(T.matchConfirm(T.matchEstimate(plan)))) return;
+    setIsLoading(true);
+    setError('');
 
-        setResumes(finalResumes);
-        setStatusMessage(T.matchComplete);
+    // Scores are stored per opening, so matching always runs against a saved opening.
+    const existingOpening = openings.find(o => o.id === activeOpeningId);
+    const opening = {
+        ...(existingOpening || { id: `opening-${Date.now()}`, createdAt: Date.now() }),
+        name: openingName.trim() || existingOpening?.name || jobProfile?.title || T.untitledOpening(openings.length + 1),
+        jobDescription,
+        profile: jobProfile,
+        updatedAt: Date.now(),
+    };
+    setOpenings(prev => sortOpenings([...prev.filter(o => o.id !== opening.id), opening]));
+    setActiveOpeningId(opening.id);
+    setOpeningName(opening.name);
+    persistOpening(opening);
 
+    try {
+        await runMatching(plan.toSend, opening);
+        if (plan.skipped > 0) setStatusMessage(prev => `${prev} ${T.prefilterSkipped(plan.skipped)}`);
     } catch(e) {
         console.error('A critical error occurred during the matching process:', e);
     } finally {
@@ -417,62 +4757,167 @@ const App = () => {
     }
   };
 
+  // Re-runs only the given failed items and merges their results into the existing pool.
+  const handleRetry = async (items) => {
+    if (!provider) {
+        setError(T.apiKeyError);
+        return;
+    }
+    const ids = new Set(items.map(item => item.id));
+    setFailedItems(prev => prev.filter(f => !ids.has(f.id)));
+    setIsLoading(true);
+    setError('');
+    try {
+        const files = items.filter(item => item.kind === 'analysis').map(item => item.file);
+        if (files.length > 0) await analyzeFiles(files);
+
+        const matchingByOpening = new Map();
+        for (const item of items.filter(item => item.kind === 'matching')) {
+            const resume = resumesRef.current.find(r => r.id === item.resumeId);
+            if (!resume) continue;
+            if (!matchingByOpening.has(item.opening.id)) matchingByOpening.set(item.opening.id, { opening: item.opening, resumes: [] });
+            matchingByOpening.get(item.opening.id).resumes.push(resume);
+        }
+        for (const { opening, resumes: toMatch } of matchingByOpening.values()) {
+            await runMatching(toMatch, opening);
+        }
+    } catch (e) {
+        console.error('A critical error occurred while retrying failed items:', e);
+    } finally {
+        setIsLoading(false);
+    }
+  };
+
+  const toggleCompare = (id) => {
+      setCompareIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : prev.length < MAX_COMPARE ? [...prev, id] : prev);
+      setComparisonSummary(null);
+  };
+
+  const removeFromComparison = (id) => {
+      const next = compareIds.filter(x => x !== id);
+      setCompareIds(next);
+      setComparisonSummary(null);
+      if (next.length < MIN_COMPARE) setShowComparison(false);
+  };
+
+  // The job to compare against: whatever is in the editor, falling back to the opening being ranked.
+  const getComparisonJob = () => {
+      if (jobDescription.trim() || jobProfile) return { jobDescription, profile: jobProfile };
+      const opening = openings.find(o => o.id === activeOpeningId);
+      return opening && (opening.jobDescription || opening.profile) ? opening : null;
+  };
+
+  const handleCompareSummary = async () => {
+    const job = getComparisonJob();
+    if (!provider || !job) return;
+    const candidates = comparedResumes;
+    setIsLoading(true);
+    setError('');
+    setStatusMessage(T.comparingStatus);
+    try {
+        const candidateBlocks = candidates.map((c, index) => [
+            `Candidate ${index + 1}: ${comparisonLabel(c)}`,
+            `- Skills: ${(c.skills || []).join(', ')}`,
+            `- Experience Summary: ${c.experienceSummary || ''}`,
+            ...describeCandidateBackground(c),
+            `- Match score: ${c.matchScore ?? 'Not scored'}`,
+        ].join('\n'));
+        const prompt = `
+        ${describeJobForPrompt(job, blindMode)}
+
+        Compare these candidates for the job:
+        ${candidateBlocks.join('\n\n')}
+
+        Decide who fits the job better and why. Give each candidate's main strengths and concerns relative to the others.
+        ${T.compareLanguageInstruction}
+        `;
+        const result = await generateContentWithRetry(provider, {
+            model: aiModel,
+            contents: prompt,
+            config: {
+                responseMimeType: "application/json",
+                responseSchema: comparisonSchema,
+            },
+            input: { job, candidates: candidates.map(c => ({ name: comparisonLabel(c), skills: c.skills || [], matchScore: c.matchScore })) },
+        });
+        setComparisonSummary({ ids: candidates.map(c => c.id).join('|'), data: parseModelJson(result) });
+        setStatusMessage('');
+    } catch (e) {
+        console.error('Error comparing candidates:', e);
+        setError(T.compareFailed);
+        setStatusMessage('');
+    } finally {
+        setIsLoading(false);
+    }
+  };
+
   const switchLanguage = (newLang) => {
     setLang(newLang);
     document.documentElement.lang = newLang;
     document.documentElement.dir = newLang === 'ar' ? 'rtl' : 'ltr';
   };
 
-  const filteredResumes = useMemo(() => {
-    return resumes.filter(r => {
-        const jobMatch = !filters.job || (r.appliedFor && r.appliedFor.toLowerCase().includes(filters.job.toLowerCase()));
-        const govMatch = !filters.governorate || (r.governorate && r.governorate.toLowerCase().includes(filters.governorate.toLowerCase()));
-        
-        const ageFilter = String(filters.age || '').trim();
-        if (!ageFilter || r.age === null || r.age === undefined) {
-            return jobMatch && govMatch && !ageFilter;
-        }
-
-        let ageMatch = true;
-        if (ageFilter.includes('-')) {
-            const [minStr, maxStr] = ageFilter.split('-');
-            const minAge = parseInt(minStr, 10);
-            const maxAge = parseInt(maxStr, 10);
-            const isMinValid = !isNaN(minAge), isMaxValid = !isNaN(maxAge);
-            if (isMinValid && isMaxValid) ageMatch = r.age >= minAge && r.age <= maxAge;
-            else if (isMinValid) ageMatch = r.age >= minAge;
-            else if (isMaxValid) ageMatch = r.age <= maxAge;
-        } else {
-            const exactAge = parseInt(ageFilter, 10);
-            if (!isNaN(exactAge)) ageMatch = r.age === exactAge;
-        }
-        
-        return jobMatch && govMatch && ageMatch;
-    });
-  }, [resumes, filters]);
+  // Resumes as shown in the results panel: scored and ranked for the active opening.
+  const rankedResumes = useMemo(() => sortByMatchScore(resumes.map(resume => {
+      const score = activeOpeningId ? resume.scores?.[activeOpeningId] : null;
+      return {
+          ...resume,
+          skills: normalizeSkills(resume.skills, skillIndex),
+          matchScore: score?.matchScore ?? null,
+          matchDetails: score?.matchDetails ?? null,
+          bestOpening: getBestOpening(resume, openings),
+      };
+  })), [resumes, activeOpeningId, openings, skillIndex]);
 
-  const formatPhoneForWhatsApp = (phone) => {
-    if (!phone) return '';
-    let digitsOnly = phone.toString().replace(/\D/g, '');
+  const duplicatePairs = useMemo(() => findDuplicatePairs(resumes), [resumes]);
 
-    // Already has Egyptian country code (e.g., from +20, 0020)
-    if (digitsOnly.startsWith('20')) {
-      return digitsOnly;
-    }
+  // Recomputed as the job, pool or options change so the estimate is visible before clicking Match.
+  const matchPlan = useMemo(() => {
+      if ((!jobDescription && !jobProfile) || resumes.length === 0) return null;
+      return planMatchRun(resumes, { jobDescription, profile: jobProfile }, { ...matchOptions, blind: blindMode }, skillIndex, getAiModelKey(aiSettings));
+  }, [resumes, jobDescription, jobProfile, matchOptions, blindMode, skillIndex, aiSettings]);
 
-    // Standard Egyptian mobile number (e.g., 010..., 011...)
-    if (digitsOnly.startsWith('01') && digitsOnly.length === 11) {
-      return '20' + digitsOnly.substring(1); // Prepend 20 and remove the leading 0
-    }
-    
-    // If it's a mobile number without the leading 0 (e.g., 10..., 11...)
-    if (digitsOnly.startsWith('1') && digitsOnly.length === 10) {
-        return '20' + digitsOnly;
-    }
+  // {jobTitle} defaults to the opening being ranked, falling back to the parsed job profile.
+  const outreachJobTitle = useMemo(() => {
+      const opening = openings.find(o => o.id === activeOpeningId);
+      return opening?.profile?.title || opening?.name || jobProfile?.title || '';
+  }, [openings, activeOpeningId, jobProfile]);
+
+  // What the list, board and comparison show: redacted copies in blind mode unless revealed.
+  const toDisplayed = (resume) => blindMode && !revealedIds.has(resume.id) ? redactCandidate(resume, T) : resume;
+
+  // Kept in selection order so columns don't jump around when the ranking changes.
+  const comparedResumes = useMemo(
+      () => compareIds.map(id => rankedResumes.find(r => r.id === id)).filter(Boolean).map(toDisplayed),
+      [compareIds, rankedResumes, blindMode, revealedIds, T]
+  );
+  // Skills are shown in their raw, extracted form here since that is what appears in the document.
+  const previewResume = useMemo(() => {
+      const ranked = previewId && rankedResumes.find(r => r.id === previewId);
+      if (!ranked) return null;
+      return { ...ranked, skills: resumes.find(r => r.id === previewId)?.skills || [] };
+  }, [previewId, rankedResumes, resumes]);
+  const comparisonSummaryData = comparisonSummary?.ids === comparedResumes.map(c => c.id).join('|') ? comparisonSummary.data : null;
+
+  // Blind mode can't sort by a hidden field; a saved sort on one falls back to the default.
+  const sortColumns = blindMode ? SORT_COLUMNS.filter(({ key }) => !BLIND_FIELDS.includes(key)) : SORT_COLUMNS;
+  const activeSort = sortColumns.some(({ key }) => key === sort.key) ? sort : DEFAULT_SORT;
+  const filteredResumes = useMemo(
+      () => sortCandidates(rankedResumes.filter(createCandidateFilter(filters, jobProfile, skillIndex, blindMode)), activeSort, lang),
+      [rankedResumes, filters, jobProfile, skillIndex, blindMode, activeSort, lang]
+  );
+  const displayedResumes = useMemo(() => filteredResumes.map(toDisplayed), [filteredResumes, blindMode, revealedIds, T]);
+
+  const poolSkills = useMemo(() => uniqueStrings(rankedResumes.flatMap(r => r.skills)).sort((a, b) => a.localeCompare(b)), [rankedResumes]);
+
+  // Frequent raw skills the dictionary doesn't know yet, offered as one-click additions.
+  const unmappedSkills = useMemo(
+      () => countBy(resumes.flatMap(r => r.skills || []).filter(skill => !skillIndex.has(skillKey(skill))))
+          .filter(({ count }) => count > 1)
+          .slice(0, TOP_SKILLS_LIMIT),
+      [resumes, skillIndex]
+  );
 
-    // Fallback for other numbers, return as is (cleaned)
-    return digitsOnly;
-  };
 
   return html`
     <${Fragment}>
@@ -483,6 +4928,7 @@ const App = () => {
               <button class=${lang === 'ar' ? 'active' : ''} onClick=${() => switchLanguage('ar')}>AR</button>
           </div>
           <h1>${T.title}</h1>
+          <${AiSettingsPanel} settings=${aiSettings} onChange=${handleAiSettingsChange} T=${T} disabled=${isLoading} />
           
           <div class="control-section">
               <h3>${T.uploadHeader}</h3>
@@ -493,29 +4939,103 @@ const App = () => {
                   onDrop=${onDrop}
                   onClick=${() => document.getElementById('file-input')?.click()}
               >
-                  <input type="file" id="file-input" multiple hidden onChange=${onFileChange} accept=".pdf,.doc,.docx,.xls,.xlsx,.zip" />
+                  <input type="file" id="file-input" multiple hidden onChange=${onFileChange} accept=${[...SUPPORTED_EXTENSIONS, '.zip'].join(',')} />
                   <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M12 16.5V9.75m0 0l-3.75 3.75M12 9.75l3.75 3.75M3 17.25V8.25c0-1.12 0.93-2.02 2.08-1.95 1.15 0.07 2.08 1.02 2.08 2.15v9c0 1.13-0.93 2.02-2.08 1.95-1.15-0.07-2.08-1.02-2.08-2.15zM19.92 8.05c-1.15-0.07-2.08-1.02-2.08-2.15v-1.5c0-1.13 0.93-2.02 2.08-1.95 1.15 0.07 2.08 1.02 2.08 2.15v1.5c0 1.13-0.93 2.02-2.08 1.95z" /></svg>
                   <p>${T.dropzoneText}</p>
                   <small>${T.supportedFormats}</small>
               </div>
+              <button class="secondary-btn" onClick=${() => document.getElementById('import-input')?.click()} disabled=${isLoading}>${T.importJson}</button>
+              <input type="file" id="import-input" hidden accept=".json,application/json" onChange=${handleImportJson} />
+              <button class="secondary-btn" title=${T.importSpreadsheetHint} onClick=${() => document.getElementById('spreadsheet-input')?.click()} disabled=${isLoading}>${T.importSpreadsheet}</button>
+              <input type="file" id="spreadsheet-input" hidden accept=${SPREADSHEET_EXTENSIONS.join(',')} onChange=${handleSpreadsheetSelect} />
                <div class="status-message">
                   ${isLoading ? html`<div class="loader"></div>` : ''}
                   <p>${statusMessage}</p>
               </div>
+              ${batch && html`
+                  <${BatchQueue} batch=${batch} T=${T} blind=${blindMode} onPause=${handlePauseBatch} onResume=${handleResumeBatch} onCancel=${handleCancelBatch} />`}
           </div>
 
           <div class="control-section">
               <h3>${T.matchHeader}</h3>
+              <div class="template-controls">
+                  <select value=${activeOpeningId || ''} onChange=${e => handleSelectOpening(e.currentTarget.value)} disabled=${isLoading}>
+                      <option value="">${T.newOpeningOption}</option>
+                      ${openings.map(o => html`<option value=${o.id}>${o.name}</option>`)}
+                  </select>
+                  <button class="secondary-btn" onClick=${handleNewOpening} disabled=${isLoading || !activeOpeningId}>${T.newOpening}</button>
+                  <button class="secondary-btn danger" onClick=${handleDeleteOpening} disabled=${isLoading || !activeOpeningId}>${T.delete}</button>
+              </div>
+              <input type="text" placeholder=${T.openingNamePlaceholder} value=${openingName} onInput=${e => setOpeningName(e.currentTarget.value)} disabled=${isLoading} />
               <textarea 
                   placeholder=${T.jobDescriptionPlaceholder}
                   value=${jobDescription}
                   onInput=${e => setJobDescription(e.currentTarget.value)}
-                  disabled=${isLoading || !ai}
+                  disabled=${isLoading || !provider}
               ></textarea>
-              <button onClick=${handleMatch} disabled=${isLoading || resumes.length === 0 || !ai}>
+              <div class="template-controls">
+                  <select value="" onChange=${e => handleLoadTemplate(e.currentTarget.value)} disabled=${isLoading || jobTemplates.length === 0}>
+                      <option value="">${T.loadTemplate}</option>
+                      ${jobTemplates.map(t => html`<option value=${t.id}>${t.name}</option>`)}
+                  </select>
+                  <button class="secondary-btn" onClick=${handleParseJobDescription} disabled=${isLoading || !jobDescription.trim() || !provider}>${T.parseJobButton}</button>
+              </div>
+              ${jobProfile && html`
+                  <${JobProfileEditor} profile=${jobProfile} onChange=${setJobProfile} T=${T} disabled=${isLoading} />
+                  <div class="template-controls">
+                      <button class="secondary-btn" onClick=${handleSaveTemplate} disabled=${isLoading}>${T.saveTemplate}</button>
+                      <button class="secondary-btn" onClick=${() => setJobProfile(null)} disabled=${isLoading}>${T.discardProfile}</button>
+                  </div>
+              `}
+              ${jobTemplates.length > 0 && html`
+                  <details class="template-list">
+                      <summary>${T.manageTemplates(jobTemplates.length)}</summary>
+                      <ul>
+                          ${jobTemplates.map(t => html`
+                              <li key=${t.id}>
+                                  <span>${t.name}</span>
+                                  <button class="delete-card-btn" title=${T.delete} aria-label=${T.delete} onClick=${() => handleDeleteTemplate(t.id)}>×</button>
+                              </li>`)}
+                      </ul>
+                  </details>`}
+              <div class="template-controls">
+                  <select value=${matchOptions.mode} onChange=${e => setMatchOptions({ ...matchOptions, mode: e.currentTarget.value })} disabled=${isLoading} aria-label=${T.matchModeLabel}>
+                      ${MATCH_MODES.map(mode => html`<option value=${mode}>${T.matchModes[mode]}</option>`)}
+                  </select>
+                  <input
+                      type="number"
+                      min="1"
+                      placeholder=${T.prefilterTopN}
+                      title=${T.prefilterHint}
+                      value=${matchOptions.topN}
+                      onInput=${e => setMatchOptions({ ...matchOptions, topN: e.currentTarget.value })}
+                      disabled=${isLoading}
+                  />
+              </div>
+              ${matchPlan && html`<small class="muted match-estimate">${T.matchEstimate(matchPlan)}</small>`}
+              <button onClick=${handleMatch} disabled=${isLoading || resumes.length === 0 || !provider}>
                   ${T.matchButton}
               </button>
           </div>
+          ${failedItems.length > 0 && html`
+              <div class="control-section failed-section">
+                  <h3>${T.failedHeader(failedItems.length)}</h3>
+                  <ul class="failed-list">
+                      ${failedItems.map(item => html`
+                          <li key=${item.id}>
+                              <div class="failed-info">
+                                  <span class="failed-label">${blindMode ? item.blindLabel : item.label}</span>
+                                  <span class=${`error-category ${item.category}`}>${T.errorCategories[item.category]}</span>
+                                  ${!blindMode && html`<small title=${item.message}>${item.message}</small>`}
+                              </div>
+                              <div class="failed-actions">
+                                  <button class="secondary-btn" onClick=${() => handleRetry([item])} disabled=${isLoading}>${T.retry}</button>
+                                  <button class="delete-card-btn" title=${T.dismiss} aria-label=${T.dismiss} onClick=${() => setFailedItems(prev => prev.filter(f => f.id !== item.id))}>×</button>
+                              </div>
+                          </li>`)}
+                  </ul>
+                  <button onClick=${() => handleRetry(failedItems)} disabled=${isLoading || !provider}>${T.retryAll}</button>
+              </div>`}
           ${error && html`<div class="error-message" style="white-space: pre-wrap;">${error}</div>`}
         </div>
 
@@ -523,51 +5043,341 @@ const App = () => {
           ${resumes.length > 0 ? html`
               <div class="results-header">
                   <h2>${T.resultsHeader(filteredResumes.length)}</h2>
+                  ${openings.length > 0 && html`
+                      <select class="ranking-select" value=${activeOpeningId || ''} onChange=${e => handleSelectOpening(e.currentTarget.value)} disabled=${isLoading} aria-label=${T.rankFor}>
+                          <option value="" disabled>${T.rankFor}</option>
+                          ${openings.map(o => html`<option value=${o.id}>${o.name}</option>`)}
+                      </select>`}
+                  <div class="header-actions">
+                      <div class="view-toggle" role="group">
+                          <button class=${`secondary-btn ${viewMode === 'list' ? 'active' : ''}`} onClick=${() => setViewMode('list')}>${T.listView}</button>
+                          <button class=${`secondary-btn ${viewMode === 'board' ? 'active' : ''}`} onClick=${() => setViewMode('board')}>${T.boardView}</button>
+                          <button class=${`secondary-btn ${viewMode === 'analytics' ? 'active' : ''}`} onClick=${() => setViewMode('analytics')}>${T.analyticsView}</button>
+                      </div>
+                      ${duplicatePairs.length > 0 && html`
+                          <button
+                              class=${`secondary-btn warning ${showDuplicates ? 'active' : ''}`}
+                              title=${blindMode ? T.duplicatesBlindHint : ''}
+                              onClick=${() => setShowDuplicates(!showDuplicates)}
+                              disabled=${blindMode}
+                          >
+                              ${T.reviewDuplicates(duplicatePairs.length)}
+                          </button>`}
+                      <button
+                          class=${`secondary-btn ${showComparison ? 'active' : ''}`}
+                          title=${T.compareHint}
+                          onClick=${() => setShowComparison(!showComparison)}
+                          disabled=${comparedResumes.length < MIN_COMPARE}
+                      >${T.compare(comparedResumes.length)}</button>
+                      <label class="filter-toggle" title=${T.blindModeHint}>
+                          <input type="checkbox" checked=${blindMode} onChange=${e => handleBlindModeChange(e.currentTarget.checked)} />
+                          <span>${T.blindMode}</span>
+                      </label>
+                      <button
+                          class=${`secondary-btn ${showOutreach ? 'active' : ''}`}
+                          title=${blindMode ? T.outreachBlindHint : T.outreachHint}
+                          onClick=${() => setShowOutreach(!showOutreach)}
+                          disabled=${filteredResumes.length === 0 || blindMode}
+                      >${T.contactCandidates}</button>
+                      <button
+                          class=${`secondary-btn ${showReport ? 'active' : ''}`}
+                          title=${T.generateReportHint}
+                          onClick=${toggleReport}
+                          disabled=${filteredResumes.length === 0}
+                      >${T.generateReport}</button>
+                      <button class="secondary-btn" onClick=${handleExportCsv} disabled=${filteredResumes.length === 0}>${T.exportCsv}</button>
+                      <button class="secondary-btn" onClick=${handleExportXlsx} disabled=${filteredResumes.length === 0}>${T.exportXlsx}</button>
+                      <button class="secondary-btn" onClick=${handleExportJson} disabled=${filteredResumes.length === 0}>${T.exportJson}</button>
+                      <label class="filter-toggle" title=${T.redactExportsHint}>
+                          <input type="checkbox" checked=${redactExports} onChange=${e => setRedactExports(e.currentTarget.checked)} />
+                          <span>${T.redactExports}</span>
+                      </label>
+                      <button class="secondary-btn danger" onClick=${handleClearAll} disabled=${isLoading}>${T.clearAll}</button>
+                  </div>
               </div>
               <div class="filter-controls">
+                  <input type="search" class="search-input" placeholder=${T.searchPlaceholder} value=${filters.text} onInput=${e => setFilters({...filters, text: e.currentTarget.value})} />
                   <input type="text" placeholder=${T.filterJobPlaceholder} value=${filters.job} onInput=${e => setFilters({...filters, job: e.currentTarget.value})} />
-                  <input type="text" placeholder=${T.filterGovernoratePlaceholder} value=${filters.governorate} onInput=${e => setFilters({...filters, governorate: e.currentTarget.value})} />
-                  <input type="text" placeholder=${T.filterAgePlaceholder} value=${filters.age} onInput=${e => setFilters({...filters, age: e.currentTarget.value})} />
+                  ${!blindMode && html`
+                      <input type="text" placeholder=${T.filterGovernoratePlaceholder} value=${filters.governorate} onInput=${e => setFilters({...filters, governorate: e.currentTarget.value})} />
+                      <input type="text" placeholder=${T.filterAgePlaceholder} value=${filters.age} onInput=${e => setFilters({...filters, age: e.currentTarget.value})} />`}
+                  <select value=${filters.stage} onChange=${e => setFilters({...filters, stage: e.currentTarget.value})} aria-label=${T.stage}>
+                      <option value="">${T.allStages}</option>
+                      ${PIPELINE_STAGES.map(stage => html`<option value=${stage}>${T.stages[stage]}</option>`)}
+                  </select>
+                  ${jobProfile && html`
+                      <label class="filter-toggle">
+                          <input type="checkbox" checked=${filters.matchesProfile} onChange=${e => setFilters({...filters, matchesProfile: e.currentTarget.checked})} />
+                          <span>${T.filterMatchesProfile}</span>
+                      </label>`}
               </div>
+              <details class="advanced-filters">
+                  <summary>${T.advancedFilters}</summary>
+                  <div class="filter-controls">
+                      <input type="text" list="pool-skills" placeholder=${T.filterSkillsPlaceholder} value=${filters.skills} onInput=${e => setFilters({...filters, skills: e.currentTarget.value})} />
+                      <datalist id="pool-skills">
+                          ${poolSkills.map(skill => html`<option value=${skill} />`)}
+                      </datalist>
+                      <select value=${filters.skillMode} onChange=${e => setFilters({...filters, skillMode: e.currentTarget.value})} aria-label=${T.skillMatchMode}>
+                          <option value="any">${T.skillModeAny}</option>
+                          <option value="all">${T.skillModeAll}</option>
+                      </select>
+                      <input type="number" min="0" max="100" placeholder=${T.filterMinScorePlaceholder} value=${filters.minScore} onInput=${e => setFilters({...filters, minScore: e.currentTarget.value})} />
+                      <input type="number" min="0" placeholder=${T.filterMinYearsPlaceholder} value=${filters.minYears} onInput=${e => setFilters({...filters, minYears: e.currentTarget.value})} />
+                      <input type="text" placeholder=${T.filterEducationPlaceholder} value=${filters.education} onInput=${e => setFilters({...filters, education: e.currentTarget.value})} />
+                      <input type="text" placeholder=${T.filterLanguagePlaceholder} value=${filters.language} onInput=${e => setFilters({...filters, language: e.currentTarget.value})} />
+                      <select value=${filters.militaryStatus} onChange=${e => setFilters({...filters, militaryStatus: e.currentTarget.value})} aria-label=${T.militaryStatus}>
+                          <option value="">${T.anyMilitaryStatus}</option>
+                          ${MILITARY_STATUSES.map(status => html`<option value=${status}>${T.militaryStatuses[status]}</option>`)}
+                      </select>
+                      <select value=${filters.contacted} onChange=${e => setFilters({...filters, contacted: e.currentTarget.value})} aria-label=${T.contactStatus}>
+                          <option value="">${T.anyContactStatus}</option>
+                          <option value="yes">${T.contactedFilter}</option>
+                          <option value="no">${T.notContacted}</option>
+                      </select>
+                      <label class="filter-toggle">
+                          <input type="checkbox" checked=${filters.missingEmail} onChange=${e => setFilters({...filters, missingEmail: e.currentTarget.checked})} />
+                          <span>${T.filterMissingEmail}</span>
+                      </label>
+                      <label class="filter-toggle">
+                          <input type="checkbox" checked=${filters.missingPhone} onChange=${e => setFilters({...filters, missingPhone: e.currentTarget.checked})} />
+                          <span>${T.filterMissingPhone}</span>
+                      </label>
+                  </div>
+              </details>
+              <div class="filter-controls view-controls">
+                  <select value=${activeSort.key} onChange=${e => setSort({...activeSort, key: e.currentTarget.value})} aria-label=${T.sortBy}>
+                      ${sortColumns.map(({ key, label }) => html`<option value=${key}>${T.sortByColumn(T[label])}</option>`)}
+                  </select>
+                  <button class="secondary-btn" onClick=${() => setSort({...activeSort, dir: activeSort.dir === 'asc' ? 'desc' : 'asc'})} title=${T.sortDirection}>
+                      ${activeSort.dir === 'asc' ? T.sortAscending : T.sortDescending}
+                  </button>
+                  <select value="" onChange=${e => handleLoadFilterPreset(e.currentTarget.value)} disabled=${filterPresets.length === 0} aria-label=${T.loadFilterPreset}>
+                      <option value="">${T.loadFilterPreset}</option>
+                      ${filterPresets.map(p => html`<option value=${p.id}>${p.name}</option>`)}
+                  </select>
+                  <button class="secondary-btn" onClick=${handleSaveFilterPreset}>${T.saveFilterPreset}</button>
+                  <button class="secondary-btn" onClick=${() => { setFilters(DEFAULT_FILTERS); setSort(DEFAULT_SORT); }}>${T.resetFilters}</button>
+              </div>
+              ${filterPresets.length > 0 && html`
+                  <details class="template-list">
+                      <summary>${T.manageFilterPresets(filterPresets.length)}</summary>
+                      <ul>
+                          ${filterPresets.map(p => html`
+                              <li key=${p.id}>
+                                  <span>${p.name}</span>
+                                  <button class="delete-card-btn" title=${T.delete} aria-label=${T.delete} onClick=${() => handleDeleteFilterPreset(p.id)}>×</button>
+                              </li>`)}
+                      </ul>
+                  </details>`}
+              ${showComparison && comparedResumes.length >= MIN_COMPARE && html`
+                  <${ComparisonView}
+                      candidates=${comparedResumes}
+                      T=${T}
+                      summary=${comparisonSummaryData}
+                      onSummarize=${handleCompareSummary}
+                      canSummarize=${!!provider && !!getComparisonJob()}
+                      onRemove=${removeFromComparison}
+                      onClose=${() => setShowComparison(false)}
+                      disabled=${isLoading}
+                  />`}
+              ${showReport && filteredResumes.length > 0 && html`
+                  <${ReportPanel}
+                      options=${reportOptions}
+                      onChange=${setReportOptions}
+                      counts=${{
+                          top: Math.min(parseInt(reportOptions.size, 10) || DEFAULT_REPORT_SIZE, filteredResumes.length),
+                          selected: compareIds.length,
+                          shortlisted: filteredResumes.filter(r => getStage(r) === 'shortlisted').length,
+                      }}
+                      T=${T}
+                      onDownload=${handleDownloadReport}
+                      onPrint=${handlePrintReport}
+                      onClose=${() => setShowReport(false)}
+                  />`}
+              ${showOutreach && !blindMode && filteredResumes.length > 0 && html`
+                  <${OutreachPanel}
+                      candidates=${filteredResumes}
+                      templates=${[...DEFAULT_MESSAGE_TEMPLATES, ...messageTemplates]}
+                      defaultJobTitle=${outreachJobTitle}
+                      T=${T}
+                      lang=${lang}
+                      onMarkContacted=${handleMarkContacted}
+                      onSaveTemplate=${handleSaveMessageTemplate}
+                      onDeleteTemplate=${handleDeleteMessageTemplate}
+                      onExportEml=${handleExportEml}
+                      onExportCsv=${handleExportMailMerge}
+                      onClose=${() => setShowOutreach(false)}
+                      disabled=${isLoading}
+                  />`}
+              ${showDuplicates && !blindMode && duplicatePairs.length > 0 && html`
+                  <${DuplicateReview} pairs=${duplicatePairs} T=${T} onMerge=${handleMergeDuplicates} onKeepBoth=${handleKeepBoth} disabled=${isLoading} />`}
+              ${viewMode === 'analytics' ? html`
+                  <${AnalyticsPanel} resumes=${filteredResumes} T=${T} />
+                  <${SkillDictionaryEditor}
+                      dictionary=${skillDictionary}
+                      unmappedSkills=${unmappedSkills}
+                      T=${T}
+                      onSave=${handleSaveSkillEntry}
+                      onDelete=${handleDeleteSkillEntry}
+                      onReset=${handleResetSkillDictionary}
+                      disabled=${isLoading}
+                  />
+              ` : viewMode === 'board' ? html`
+                  <${PipelineBoard} resumes=${displayedResumes} T=${T} onMove=${(id, stage) => updateResume(id, { stage })} disabled=${isLoading} />
+              ` : html`
               <div class="resume-list">
-                  ${filteredResumes.map(resume => html`
+                  ${displayedResumes.map(resume => html`
                       <div class="resume-card" key=${resume.id}>
                           <div class="card-header">
                               <div class="card-title-group">
-                                  <h4>${resume.name || T.unspecified}</h4>
-                                  <a href=${resume.fileURL} target="_blank" rel="noopener noreferrer" class="view-cv-btn">${T.viewCV}</a>
+                                  <h4>${resume.name || T.unspecified}<${VerifiedMark} resume=${resume} field="name" T=${T} /></h4>
+                                  ${blindMode && html`
+                                      <button class="view-cv-btn" title=${T.revealHint} onClick=${() => toggleReveal(resume.id)}>
+                                          ${resume.redacted ? T.revealCandidate : T.hideCandidate}
+                                      </button>`}
+                                  ${resume.file && !resume.redacted && html`<button class="view-cv-btn" onClick=${() => setPreviewId(resume.id)}>${T.viewCV}</button>`}
+                                  ${editingId !== resume.id && !resume.redacted && html`<button class="view-cv-btn" onClick=${() => setEditingId(resume.id)} disabled=${isLoading}>${T.editCandidate}</button>`}
+                                  ${resume.file && html`<button class="view-cv-btn" title=${T.reanalyzeHint} onClick=${() => handleReanalyze(resume.id)} disabled=${isLoading}>${T.reanalyze}</button>`}
+                              </div>
+                              <div class="card-header-actions">
+                                  <label class="compare-select" title=${T.selectForComparison}>
+                                      <input
+                                          type="checkbox"
+                                          checked=${compareIds.includes(resume.id)}
+                                          onChange=${() => toggleCompare(resume.id)}
+                                          disabled=${!compareIds.includes(resume.id) && compareIds.length >= MAX_COMPARE}
+                                          aria-label=${T.selectForComparison}
+                                      />
+                                  </label>
+                                  ${resume.matchScore !== null && html`<div class="match-score">${T.matchScore(resume.matchScore)}</div>`}
+                                  ${resume.matchDetails && html`
+                                      <button
+                                          class=${`why-score-btn ${expandedMatchIds.has(resume.id) ? 'expanded' : ''}`}
+                                          aria-expanded=${expandedMatchIds.has(resume.id)}
+                                          onClick=${() => toggleMatchDetails(resume.id)}
+                                      >${T.whyThisScore}</button>`}
+                                  <button class="delete-card-btn" title=${T.delete} aria-label=${T.delete} onClick=${() => handleDeleteResume(resume)} disabled=${isLoading}>×</button>
                               </div>
-                              ${resume.matchScore !== null && html`<div class="match-score">${T.matchScore(resume.matchScore)}</div>`}
                           </div>
+                          ${resume.matchDetails && expandedMatchIds.has(resume.id) && html`
+                              <div class="match-details">
+                                  <p class="match-rationale">${resume.matchDetails.rationale}</p>
+                                  <p><strong>${T.experienceFit}:</strong> <span class=${`fit-badge fit-${resume.matchDetails.experienceFit}`}>${T.experienceFitLevels[resume.matchDetails.experienceFit] || resume.matchDetails.experienceFit}</span></p>
+                                  <div>
+                                      <strong>${T.matchedSkills}:</strong>
+                                      <ul class="skills-list">
+                                          ${resume.matchDetails.matchedSkills?.length
+                                              ? resume.matchDetails.matchedSkills.map(skill => html`<li class="skill-tag matched">${skill}</li>`)
+                                              : html`<li class="muted">${T.none}</li>`}
+                                      </ul>
+                                  </div>
+                                  <div>
+                                      <strong>${T.missingSkills}:</strong>
+                                      <ul class="skills-list">
+                                          ${resume.matchDetails.missingSkills?.length
+                                              ? resume.matchDetails.missingSkills.map(skill => html`<li class="skill-tag missing">${skill}</li>`)
+                                              : html`<li class="muted">${T.none}</li>`}
+                                      </ul>
+                                  </div>
+                                  ${resume.matchDetails.redFlags?.length > 0 && html`
+                                      <div>
+                                          <strong>${T.redFlags}:</strong>
+                                          <ul class="red-flags">
+                                              ${resume.matchDetails.redFlags.map(flag => html`<li>${flag}</li>`)}
+                                          </ul>
+                                      </div>`}
+                              </div>`}
+                          ${editingId === resume.id && !resume.redacted ? html`
+                              <${CandidateEditor}
+                                  key=${resume.id}
+                                  resume=${resumes.find(r => r.id === resume.id) || resume}
+                                  T=${T}
+                                  onSave=${(changes, verifiedFields) => handleSaveEdits(resume.id, changes, verifiedFields)}
+                                  onCancel=${() => setEditingId(null)}
+                              />` : html`
                           <div class="card-body">
-                             <p><strong>${T.age}:</strong> ${resume.age || T.unspecified}</p>
-                             <p><strong>${T.governorate}:</strong> ${resume.governorate || T.unspecified}</p>
-                             <p><strong>${T.appliedFor}:</strong> ${resume.appliedFor || T.unspecified}</p>
-                             <p><strong>${T.email}:</strong> ${resume.email ? html`
-                                 <a class="contact-link" href=${'mailto:' + resume.email}>
-                                     <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
-                                         <path d="M0 4a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V4Zm2-1a1 1 0 0 0-1 1v.217l7 4.2 7-4.2V4a1 1 0 0 0-1-1H2Zm13 2.383-4.758 2.855L15 11.114V5.383zM1 4.217V12h14V4.217l-7 4.2-7-4.2z"/>
-                                     </svg>
-                                     <span>${resume.email}</span>
-                                 </a>` : T.unspecified}</p>
-                             <p><strong>${T.phone}:</strong> ${resume.phone ? html`
-                                  <a class="contact-link" href=${'https://wa.me/' + formatPhoneForWhatsApp(resume.phone)} target="_blank" rel="noopener noreferrer">
-                                     <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
-                                          <path d="M13.601 2.326A7.854 7.854 0 0 0 7.994 0C3.627 0 .068 3.558.064 7.926c0 1.399.366 2.76 1.057 3.965L0 16l4.204-1.102a7.933 7.933 0 0 0 3.79.965h.004c4.368 0 7.926-3.558 7.93-7.93A7.898 7.898 0 0 0 13.6 2.326zM7.994 14.521a6.573 6.573 0 0 1-3.356-.92l-.24-.144-2.494.654.666-2.433-.156-.251a6.56 6.56 0 0 1-1.007-3.505c0-3.626 2.957-6.584 6.591-6.584a6.56 6.56 0 0 1 4.66 1.931 6.557 6.557 0 0 1 1.928 4.66c-.004 3.639-2.961 6.592-6.592 6.592zm3.615-4.934c-.197-.099-1.17-.578-1.353-.646-.182-.065-.315-.099-.445.099-.133.197-.513.646-.627.775-.114.133-.232.148-.43.05-.197-.1-.836-.308-1.592-.985-.59-.525-.985-1.175-1.103-1.372-.114-.198-.011-.304.088-.403.087-.088.197-.232.296-.346.1-.114.133-.198.198-.33.065-.134.034-.248-.015-.347-.05-.099-.445-1.076-.612-1.47-.16-.389-.323-.335-.445-.34-.114-.007-.247-.007-.38-.007a.729.729 0 0 0-.529.247c-.182.198-.691.677-.691 1.654 0 .977.71 1.916.81 2.049.098.133 1.394 2.132 3.383 2.992.47.205.84.326 1.129.418.475.152.904.129 1.246.08.38-.058 1.171-.48 1.338-.943.164-.464.164-.86.114-.943-.049-.084-.182-.133-.38-.232z"/>
-                                     </svg>
-                                     <span>${resume.phone}</span>
-                                 </a>` : T.unspecified}</p>
-                             <p>${resume.experienceSummary}</p>
+                             ${openings.length > 1 && resume.bestOpening && html`
+                                 <p class="best-fit"><strong>${T.bestFit}:</strong> ${resume.bestOpening.name} (${resume.bestOpening.matchScore}%)</p>`}
+                             ${resume.redacted ? html`<p class="muted">${T.blindFieldsHidden}</p>` : html`
+                                 <p><strong>${T.age}:</strong> ${resume.age || T.unspecified}<${VerifiedMark} resume=${resume} field="age" T=${T} /></p>
+                                 <p><strong>${T.governorate}:</strong> ${resume.governorate || T.unspecified}<${VerifiedMark} resume=${resume} field="governorate" T=${T} /></p>
+                             `}
+                             <p><strong>${T.appliedFor}:</strong> ${resume.appliedFor || T.unspecified}<${VerifiedMark} resume=${resume} field="appliedFor" T=${T} /></p>
+                             ${!resume.redacted && html`
+                                 <p><strong>${T.email}:</strong> ${resume.email ? html`
+                                     <a class="contact-link" href=${'mailto:' + resume.email}>
+                                         <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
+                                             <path d="M0 4a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V4Zm2-1a1 1 0 0 0-1 1v.217l7 4.2 7-4.2V4a1 1 0 0 0-1-1H2Zm13 2.383-4.758 2.855L15 11.114V5.383zM1 4.217V12h14V4.217l-7 4.2-7-4.2z"/>
+                                         </svg>
+                                         <span>${resume.email}</span>
+                                     </a>` : T.unspecified}<${VerifiedMark} resume=${resume} field="email" T=${T} /></p>
+                                 <p><strong>${T.phone}:</strong> ${resume.phone ? html`
+                                      <a class="contact-link" href=${'https://wa.me/' + formatPhoneForWhatsApp(resume.phone)} target="_blank" rel="noopener noreferrer">
+                                         <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
+                                              <path d="M13.601 2.326A7.854 7.854 0 0 0 7.994 0C3.627 0 .068 3.558.064 7.926c0 1.399.366 2.76 1.057 3.965L0 16l4.204-1.102a7.933 7.933 0 0 0 3.79.965h.004c4.368 0 7.926-3.558 7.93-7.93A7.898 7.898 0 0 0 13.6 2.326zM7.994 14.521a6.573 6.573 0 0 1-3.356-.92l-.24-.144-2.494.654.666-2.433-.156-.251a6.56 6.56 0 0 1-1.007-3.505c0-3.626 2.957-6.584 6.591-6.584a6.56 6.56 0 0 1 4.66 1.931 6.557 6.557 0 0 1 1.928 4.66c-.004 3.639-2.961 6.592-6.592 6.592zm3.615-4.934c-.197-.099-1.17-.578-1.353-.646-.182-.065-.315-.099-.445.099-.133.197-.513.646-.627.775-.114.133-.232.148-.43.05-.197-.1-.836-.308-1.592-.985-.59-.525-.985-1.175-1.103-1.372-.114-.198-.011-.304.088-.403.087-.088.197-.232.296-.346.1-.114.133-.198.198-.33.065-.134.034-.248-.015-.347-.05-.099-.445-1.076-.612-1.47-.16-.389-.323-.335-.445-.34-.114-.007-.247-.007-.38-.007a.729.729 0 0 0-.529.247c-.182.198-.691.677-.691 1.654 0 .977.71 1.916.81 2.049.098.133 1.394 2.132 3.383 2.992.47.205.84.326 1.129.418.475.152.904.129 1.246.08.38-.058 1.171-.48 1.338-.943.164-.464.164-.86.114-.943-.049-.084-.182-.133-.38-.232z"/>
+                                         </svg>
+                                         <span>${resume.phone}</span>
+                                     </a>` : T.unspecified}<${VerifiedMark} resume=${resume} field="phone" T=${T} /></p>
+                             `}
+                             <p>${resume.experienceSummary}<${VerifiedMark} resume=${resume} field="experienceSummary" T=${T} /></p>
+                             ${resume.totalYearsExperience != null && html`<p><strong>${T.totalYearsExperience}:</strong> ${resume.totalYearsExperience}<${VerifiedMark} resume=${resume} field="totalYearsExperience" T=${T} /></p>`}
+                             ${resume.workHistory?.length > 0 && html`
+                                 <div class="background-section">
+                                     <strong>${T.workHistory}:</strong>
+                                     <ul>${resume.workHistory.map(entry => html`<li>${formatWorkEntry(entry)}</li>`)}</ul>
+                                 </div>`}
+                             ${resume.education?.length > 0 && html`
+                                 <div class="background-section">
+                                     <strong>${T.education}:</strong>
+                                     <ul>${resume.education.map(entry => html`<li>${formatEducation(entry)}</li>`)}</ul>
+                                 </div>`}
+                             ${resume.languages?.length > 0 && html`<p><strong>${T.languages}:</strong> ${resume.languages.join(', ')}<${VerifiedMark} resume=${resume} field="languages" T=${T} /></p>`}
+                             ${resume.certifications?.length > 0 && html`<p><strong>${T.certifications}:</strong> ${resume.certifications.join(', ')}<${VerifiedMark} resume=${resume} field="certifications" T=${T} /></p>`}
+                             ${resume.militaryStatus && resume.militaryStatus !== 'unknown' && html`<p><strong>${T.militaryStatus}:</strong> ${T.militaryStatuses[resume.militaryStatus] || resume.militaryStatus}<${VerifiedMark} resume=${resume} field="militaryStatus" T=${T} /></p>`}
                              <div class="skills-container">
-                                  <strong>${T.skills}:</strong>
+                                  <strong>${T.skills}:<${VerifiedMark} resume=${resume} field="skills" T=${T} /></strong>
                                   <ul class="skills-list">
                                       ${resume.skills?.map(skill => html`<li class="skill-tag">${skill}</li>`)}
                                   </ul>
                              </div>
+                             ${resume.history?.length > 0 && html`<${ChangeHistory} history=${resume.history} T=${T} lang=${lang} />`}
+                          </div>`}
+                          <div class="card-pipeline">
+                              <div class="pipeline-row">
+                                  <select value=${getStage(resume)} onChange=${e => updateResume(resume.id, { stage: e.currentTarget.value })} aria-label=${T.stage} disabled=${isLoading}>
+                                      ${PIPELINE_STAGES.map(stage => html`<option value=${stage}>${T.stages[stage]}</option>`)}
+                                  </select>
+                                  <${StarRating} value=${resume.rating || 0} onChange=${rating => updateResume(resume.id, { rating })} T=${T} disabled=${isLoading} />
+                              </div>
+                              ${resume.tags?.length > 0 && html`
+                                  <ul class="skills-list">
+                                      ${resume.tags.map(tag => html`<li class="skill-tag tag">${tag}</li>`)}
+                                  </ul>`}
+                              ${getLastContact(resume) && html`
+                                  <p class="contacted-badge">${T.contactedOn(
+                                      T.contactChannels[getLastContact(resume).channel] || getLastContact(resume).channel,
+                                      new Date(getLastContact(resume).at).toLocaleDateString(lang),
+                                  )}</p>`}
+                              <input
+                                  type="text"
+                                  placeholder=${T.tagsPlaceholder}
+                                  value=${(resume.tags || []).join(', ')}
+                                  onChange=${e => updateResume(resume.id, { tags: splitList(e.currentTarget.value) })}
+                                  disabled=${isLoading}
+                              />
+                              <textarea
+                                  class="notes-input"
+                                  placeholder=${T.notesPlaceholder}
+                                  value=${resume.notes || ''}
+                                  onChange=${e => updateResume(resume.id, { notes: e.currentTarget.value })}
+                                  disabled=${isLoading}
+                              ></textarea>
                           </div>
                       </div>
                   `)}
               </div>
+              `}
           ` : html`
               <div class="placeholder">
                   <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M15.75 17.25v3.375c0 .621-.504 1.125-1.125 1.125h-9.75a1.125 1.125 0 01-1.125-1.125V7.875c0-.621.504-1.125 1.125-1.125H6.75a9.06 0 011.5.124m7.5 10.376h3.375c.621 0 1.125-.504 1.125-1.125V11.25c0-4.46-3.243-8.161-7.5-8.876a9.06 0 00-1.5-.124H9.375c-.621 0-1.125.504-1.125 1.125v3.5m7.5 10.375H9.375a1.125 1.125 0 01-1.125-1.125v-9.25m9.375 2.25c.621 0 1.125.504 1.125 1.125v3.375c0 .621-.504 1.125-1.125 1.125h-1.5a1.125 1.125 0 01-1.125-1.125v-3.375c0-.621.504-1.125 1.125-1.125h1.5z" /></svg>
@@ -576,6 +5386,21 @@ const App = () => {
           `}
         </div>
       </main>
+      ${previewResume && html`
+          <${DocumentPreview}
+              resume=${previewResume}
+              matchedSkills=${previewResume.matchDetails?.matchedSkills?.length ? previewResume.matchDetails.matchedSkills : previewResume.skills}
+              T=${T}
+              onClose=${() => setPreviewId(null)}
+          />`}
+      ${sheetImport && html`
+          <${ColumnMappingDialog}
+              sheetImport=${sheetImport}
+              T=${T}
+              onChange=${setSheetImport}
+              onConfirm=${handleConfirmSpreadsheetImport}
+              onCancel=${() => setSheetImport(null)}
+          />`}
       <footer class="app-footer">
         <p>${T.footerText}</p>
       </footer>